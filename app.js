@@ -4,20 +4,147 @@ class MITREAttackTracker {
         this.attackData = null;
         this.mitreVersion = 'Loading...';
         this.techniques = [];
+        this.techniquesById = {};
+        this.retiredTechniques = {};
+        this.subTechniques = {};
+        this.threatActors = [];
+        this.threatActorsById = {};
+        this.mitigations = [];
+        this.mitigationsById = {};
+        this.mitigationsByTechnique = {};
+        this.mitigationStatus = {};
+        this.selectedThreatActors = [];
+        this.threatMatrixFilter = false;
         this.tactics = [];
         this.detections = [];
+        this.testRuns = [];
+        this.testRunIndex = null;
+        this.techniqueModifiers = {};
+        this.techniqueExclusions = {};
+        this.excludedPlatforms = [];
+        this.coverageSnapshots = [];
+        this.compareSnapshotId = null;
+        this.compareWorkspaceId = null;
+        this.workspaces = [];
+        this.expandedTechniques = new Set();
+        this.matrixSelection = new Set();
+        // Set while the rule being added was started from the matrix selection
+        this.creatingFromSelection = false;
+        this.detectionSelection = new Set();
+        this.dataSources = [];
+        this.dataComponents = [];
+        this.dataComponentAvailability = {};
+        this.navigatorLayer = null;
         this.currentView = 'dashboard';
+        // Filters kept in the URL for each view: query parameter -> filter element
+        this.routeFilters = {
+            techniques: { q: 'techniqueSearch', tactic: 'tacticFilter', status: 'statusFilter' },
+            detections: {
+                q: 'detectionSearch', status: 'detectionStatusFilter', severity: 'detectionSeverityFilter', owner: 'detectionOwnerFilter',
+                product: 'detectionProductFilter', tag: 'detectionTagFilter', active: 'detectionActiveFilter'
+            },
+            mitigations: { q: 'mitigationSearch', status: 'mitigationStatusFilter' },
+            threats: { q: 'threatSearch', type: 'threatTypeFilter' },
+            coverage: { platform: 'matrixPlatformFilter', status: 'matrixStatusFilter', color: 'matrixColorBy' },
+            'data-sources': { q: 'dataSourceSearch' },
+            audit: { q: 'auditSearch', action: 'auditActionFilter' }
+        };
+        this.applyingRoute = false;
+        this.selectedTechniqueId = null;
         this.editingDetectionId = null;
+        this.detectionSort = { key: 'name', direction: 'asc' };
+        this.editingTechniques = [];
+        this.spreadsheetImport = null;
+        this.testResultsImport = null;
+        this.pendingImport = null;
+        this.maxBackups = 5;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxUndoSteps = 50;
+        this.maxAuditEntries = 1000;
+        this.maxAuditLogSize = 1000000;
+
+        // ATT&CK releases that can be pinned (tags in the mitre/cti repository)
+        this.attackVersions = ['18.1', '18.0', '17.1', '17.0', '16.1', '16.0', '15.1', '15.0', '14.1', '14.0', '13.1', '13.0'];
+
+        // ATT&CK matrices; each one is tracked with its own rules and coverage
+        this.attackDomains = {
+            enterprise: {
+                name: 'Enterprise',
+                bundle: 'enterprise-attack',
+                killChain: 'mitre-attack',
+                platforms: ['Windows', 'Linux', 'macOS', 'Cloud', 'Network', 'Multiple']
+            },
+            mobile: {
+                name: 'Mobile',
+                bundle: 'mobile-attack',
+                killChain: 'mitre-mobile-attack',
+                platforms: ['Android', 'iOS', 'Multiple']
+            },
+            ics: {
+                name: 'ICS',
+                bundle: 'ics-attack',
+                killChain: 'mitre-ics-attack',
+                platforms: ['Windows', 'Linux', 'Engineering Workstation', 'Human-Machine Interface', 'Control Server',
+                    'Data Historian', 'Field Controller/RTU/PLC/IED', 'Safety Instrumented System/Protection Relay', 'Network', 'Multiple']
+            }
+        };
+        // Rule lifecycle, from first idea to retirement
+        this.ruleStatuses = ['idea', 'in development', 'testing', 'production', 'retired'];
+        // Outcome of a purple team / adversary emulation test run
+        this.testResults = ['detected', 'partial', 'missed'];
+        // How far a mitigation (M10xx) is in place, and what it counts towards mitigation coverage
+        this.mitigationStatuses = { implemented: 1, partial: 0.5, 'not implemented': 0 };
+        // What the matrix and the dashboard score: rules, mitigations or both (defense in depth)
+        this.coverageModes = { detection: 'Detection', mitigation: 'Mitigation', combined: 'Combined' };
+
+        // How much a single active rule counts towards coverage: the product of its severity,
+        // lifecycle status and validation weights, divided by the rules needed per technique.
+        // The defaults score rules saved by earlier versions (production, not validated) as before;
+        // severity and validation penalties are opt-in from Settings
+        this.defaultScoring = {
+            severity: { Critical: 1, High: 1, Medium: 1, Low: 1, Unspecified: 1 },
+            status: { idea: 0, 'in development': 0.25, testing: 0.5, production: 1, retired: 0 },
+            validated: 1,
+            unvalidated: 1,
+            rulesPerTechnique: 1,
+            partialThreshold: 50,
+            highThreshold: 100
+        };
+        this.scoring = this.defaultScoring;
+
+        this.settings = {
+            workspace: 'default',
+            domain: 'enterprise',
+            dataSource: 'github',
+            attackVersion: 'latest',
+            dataPath: 'data/enterprise-attack.json',
+            coverageMode: 'detection'
+        };
+        this.attackDataOrigin = null;
+        this.attackDataError = null;
+        this.attackIndex = null;
+        this.attackUpgradeFrom = null;
+        this.attackDiff = null;
 
         this.init();
     }
 
     async init() {
         this.showLoading(true);
+        await this.openUserStore();
+        this.loadSettings();
         await this.loadAttackData();
         this.loadUserData();
         this.setupEventListeners();
-        this.renderCurrentView();
+        this.renderWorkspaceOptions();
+        this.renderDomainOptions();
+        if (this.attackDataError) {
+            this.switchView('settings');
+        } else if (!this.applyRoute()) {
+            this.renderCurrentView();
+            this.updateRoute();
+        }
         this.showLoading(false);
     }
 
@@ -30,17 +157,555 @@ class MITREAttackTracker {
         }
     }
 
+    loadSettings() {
+        const savedSettings = localStorage.getItem('mitre_settings');
+        if (savedSettings) {
+            try {
+                this.settings = { ...this.settings, ...JSON.parse(savedSettings) };
+            } catch (e) {
+                console.error('Error parsing saved settings:', e);
+            }
+        }
+        if (!this.attackDomains[this.settings.domain]) {
+            this.settings.domain = 'enterprise';
+        }
+        if (!this.coverageModes[this.settings.coverageMode]) {
+            this.settings.coverageMode = 'detection';
+        }
+        this.scoring = this.getScoringModel();
+        this.loadWorkspaces();
+    }
+
+    // Workspaces (one per customer or environment); the default one uses the original keys
+    loadWorkspaces() {
+        try {
+            this.workspaces = JSON.parse(localStorage.getItem('mitre_workspaces')) || [];
+        } catch (e) {
+            console.error('Error parsing saved workspaces:', e);
+            this.workspaces = [];
+        }
+        if (!this.workspaces.some(workspace => workspace.id === 'default')) {
+            this.workspaces.unshift({ id: 'default', name: 'Default' });
+        }
+        if (!this.getWorkspace()) {
+            this.settings.workspace = 'default';
+        }
+    }
+
+    saveWorkspaces() {
+        localStorage.setItem('mitre_workspaces', JSON.stringify(this.workspaces));
+    }
+
+    getWorkspace(workspaceId = this.settings.workspace) {
+        return this.workspaces.find(workspace => workspace.id === workspaceId);
+    }
+
+    // Saved weights on top of the defaults, so weights added later get a value
+    getScoringModel() {
+        const saved = this.settings.scoring || {};
+        return {
+            ...this.defaultScoring,
+            ...saved,
+            severity: { ...this.defaultScoring.severity, ...saved.severity },
+            status: { ...this.defaultScoring.status, ...saved.status }
+        };
+    }
+
+    saveSettings() {
+        // The ATT&CK data settings are pinned per workspace
+        const workspace = this.getWorkspace();
+        if (workspace) {
+            const { dataSource, attackVersion, dataPath } = this.settings;
+            workspace.attack = { dataSource, attackVersion, dataPath };
+            this.saveWorkspaces();
+        }
+        localStorage.setItem('mitre_settings', JSON.stringify(this.settings));
+    }
+
+    getAttackDomain() {
+        return this.attackDomains[this.settings.domain];
+    }
+
+    // Enterprise keeps the original keys so data saved before domains existed still loads,
+    // and the default workspace keeps them so data saved before workspaces existed does
+    getStorageKey(name, workspaceId = this.settings.workspace) {
+        const workspace = workspaceId === 'default' ? '' : `ws_${workspaceId}_`;
+        const domain = this.settings.domain === 'enterprise' ? '' : `${this.settings.domain}_`;
+        return `mitre_${workspace}${domain}${name}`;
+    }
+
+    renderDomainOptions() {
+        const domain = this.getAttackDomain();
+        document.getElementById('domainSelect').value = this.settings.domain;
+        document.getElementById('appSubtitle').textContent = `${domain.name} Matrix for SOC Teams`;
+
+        const platformSelect = document.getElementById('detectionPlatform');
+        platformSelect.innerHTML = '<option value="">Select Platform</option>' + domain.platforms.map(platform =>
+            `<option value="${this.escapeHtml(platform)}">${this.escapeHtml(platform)}</option>`
+        ).join('');
+    }
+
+    async switchAttackDomain(domain) {
+        if (!this.attackDomains[domain] || domain === this.settings.domain) return;
+
+        this.settings.domain = domain;
+        this.saveSettings();
+        this.expandedTechniques = new Set();
+        this.matrixSelection = new Set();
+        this.detectionSelection = new Set();
+        this.compareSnapshotId = null;
+        this.clearUndoHistory();
+        this.loadUserData();
+        this.renderDomainOptions();
+        await this.reloadAttackData();
+    }
+
+    renderWorkspaceOptions() {
+        const select = document.getElementById('workspaceSelect');
+        select.innerHTML = this.workspaces.map(workspace =>
+            `<option value="${this.escapeHtml(workspace.id)}">${this.escapeHtml(workspace.name)}</option>`
+        ).join('') + '<option value="__new">+ New workspace...</option>';
+        select.value = this.settings.workspace;
+    }
+
+    async switchWorkspace(workspaceId) {
+        const workspace = this.getWorkspace(workspaceId);
+        if (!workspace || workspaceId === this.settings.workspace) return;
+
+        // Pin the ATT&CK data settings of the workspace being left
+        this.saveSettings();
+        this.settings.workspace = workspaceId;
+        Object.assign(this.settings, workspace.attack);
+        this.saveSettings();
+        this.expandedTechniques = new Set();
+        this.matrixSelection = new Set();
+        this.detectionSelection = new Set();
+        this.compareSnapshotId = null;
+        this.compareWorkspaceId = null;
+        this.clearUndoHistory();
+        this.loadUserData();
+        this.renderWorkspaceOptions();
+        await this.reloadAttackData();
+        this.updateRoute(false);
+    }
+
+    async createWorkspace() {
+        const name = (prompt('Name of the new workspace (e.g. a customer or environment):') || '').trim();
+        if (!name) return;
+        if (this.workspaces.some(workspace => workspace.name.toLowerCase() === name.toLowerCase())) {
+            alert(`A workspace named "${name}" already exists`);
+            return;
+        }
+
+        const workspace = { id: this.generateId().replace(/^det_/, ''), name, createdAt: new Date().toISOString() };
+        this.workspaces.push(workspace);
+        this.saveWorkspaces();
+        await this.switchWorkspace(workspace.id);
+    }
+
+    renameWorkspace(workspaceId) {
+        const workspace = this.getWorkspace(workspaceId);
+        if (!workspace) return;
+
+        const name = (prompt('New name of the workspace:', workspace.name) || '').trim();
+        if (!name || name === workspace.name) return;
+        if (this.workspaces.some(other => other !== workspace && other.name.toLowerCase() === name.toLowerCase())) {
+            alert(`A workspace named "${name}" already exists`);
+            return;
+        }
+
+        workspace.name = name;
+        this.saveWorkspaces();
+        this.renderWorkspaceOptions();
+        this.renderCurrentView();
+    }
+
+    deleteWorkspace(workspaceId) {
+        const workspace = this.getWorkspace(workspaceId);
+        if (!workspace || workspaceId === 'default' || workspaceId === this.settings.workspace) return;
+        if (!confirm(`Delete the workspace "${workspace.name}" with all its detection rules, settings and backups? This cannot be undone.`)) {
+            return;
+        }
+
+        const prefix = `mitre_ws_${workspaceId}_`;
+        this.storageKeys().filter(key => key.startsWith(prefix)).forEach(key => this.storageRemove(key));
+        this.workspaces = this.workspaces.filter(other => other !== workspace);
+        if (this.compareWorkspaceId === workspaceId) this.compareWorkspaceId = null;
+        this.saveWorkspaces();
+        this.renderWorkspaceOptions();
+        this.renderCurrentView();
+    }
+
+    renderWorkspaces() {
+        const container = document.getElementById('workspacesTable');
+        if (!container) return;
+
+        const countRules = (workspaceId) => {
+            try {
+                return (JSON.parse(this.storageGet(this.getStorageKey('detections', workspaceId))) || []).length;
+            } catch (e) {
+                return 0;
+            }
+        };
+        const describeData = (attack) => {
+            if (!attack || attack.dataSource === 'github') {
+                return !attack || attack.attackVersion === 'latest' ? 'Latest' : `ATT&CK v${attack.attackVersion}`;
+            }
+            return attack.dataSource === 'path' ? attack.dataPath : 'Local file';
+        };
+
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Workspace</th>
+                        <th>${this.getAttackDomain().name} Rules</th>
+                        <th>ATT&CK Data</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.workspaces.map(workspace => {
+                        const current = workspace.id === this.settings.workspace;
+                        return `
+                            <tr>
+                                <td>
+                                    <strong>${this.escapeHtml(workspace.name)}</strong>
+                                    ${current ? '<span class="status-badge status-detected">current</span>' : ''}
+                                </td>
+                                <td>${countRules(workspace.id)}</td>
+                                <td>${this.escapeHtml(describeData(workspace.attack))}</td>
+                                <td>
+                                    ${current ? '' : `<button class="btn btn-secondary btn-small" data-action="switch-workspace" data-id="${this.escapeHtml(workspace.id)}">Switch</button>`}
+                                    <button class="action-btn btn-edit" data-action="rename-workspace" data-id="${this.escapeHtml(workspace.id)}" title="Rename">✏️</button>
+                                    ${current || workspace.id === 'default' ? '' : `<button class="action-btn btn-delete" data-action="delete-workspace" data-id="${this.escapeHtml(workspace.id)}" title="Delete">🗑️</button>`}
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Coverage of each technique in another workspace, scored against the ATT&CK data
+    // loaded in this one (null for techniques that are not applicable there)
+    getWorkspaceCoverage(workspaceId) {
+        // Scored on a view of the app holding the other workspace's data, so this one's state is left alone
+        const other = Object.assign(Object.create(this), this.readUserData(workspaceId));
+        const coverage = {};
+
+        this.techniques.forEach(tech => {
+            coverage[tech.id] = other.isTechniqueExcluded(tech) ? null : other.calculateCoverage(tech) * 100;
+        });
+
+        return coverage;
+    }
+
+    getAttackDataUrl() {
+        if (this.settings.dataSource === 'path') {
+            return this.settings.dataPath;
+        }
+        const ref = this.settings.attackVersion === 'latest'
+            ? 'master'
+            : encodeURIComponent(`ATT&CK-v${this.settings.attackVersion}`);
+        const bundle = this.getAttackDomain().bundle;
+        return `https://raw.githubusercontent.com/mitre/cti/${ref}/${bundle}/${bundle}.json`;
+    }
+
+    // Cache key for the bundle the current settings point at; keys of the other
+    // domains are prefixed with the domain
+    getBundleCacheKey(dataSource = this.settings.dataSource) {
+        let key;
+        switch (dataSource) {
+            case 'file':
+                key = 'file';
+                break;
+            case 'path':
+                key = `path:${this.settings.dataPath}`;
+                break;
+            default:
+                key = `github:${this.settings.attackVersion}`;
+        }
+        return this.settings.domain === 'enterprise' ? key : `${this.settings.domain}:${key}`;
+    }
+
+    getBundleKeyDomain(key) {
+        const prefix = key.split(':')[0];
+        return prefix !== 'enterprise' && this.attackDomains[prefix] ? prefix : 'enterprise';
+    }
+
     async loadAttackData() {
+        const cacheKey = this.getBundleCacheKey();
+        const pinned = this.settings.dataSource === 'github' && this.settings.attackVersion !== 'latest';
+        this.attackData = null;
+        this.attackDataError = null;
+
         try {
-            // Fetch MITRE ATT&CK Enterprise data from GitHub
-            const response = await fetch('https://raw.githubusercontent.com/mitre/cti/master/enterprise-attack/enterprise-attack.json');
-            if (!response.ok) throw new Error('Failed to fetch MITRE data');
+            // A pinned release never changes, so the cached copy is authoritative
+            const cached = await this.getCachedBundle(cacheKey);
+            if (cached && (pinned || this.settings.dataSource === 'file')) {
+                this.attackData = cached.bundle;
+                this.attackDataOrigin = { type: 'cache', cachedAt: cached.cachedAt };
+            } else if (this.settings.dataSource === 'file') {
+                throw new Error('No local STIX bundle has been loaded yet');
+            } else {
+                try {
+                    const response = await fetch(this.getAttackDataUrl());
+                    if (!response.ok) throw new Error(`Failed to fetch MITRE data (HTTP ${response.status})`);
+
+                    this.attackData = await response.json();
+                    this.validateAttackBundle(this.attackData);
+                    this.attackDataOrigin = { type: 'network', url: this.getAttackDataUrl() };
+                    await this.putCachedBundle(cacheKey, this.attackData);
+                } catch (error) {
+                    // Offline or blocked: fall back to the last copy we saw
+                    if (!cached) throw error;
+                    console.warn('Using cached MITRE ATT&CK data:', error);
+                    this.attackData = cached.bundle;
+                    this.attackDataOrigin = { type: 'cache', cachedAt: cached.cachedAt };
+                }
+            }
 
-            this.attackData = await response.json();
             this.processAttackData();
+            this.checkAttackUpgrade();
         } catch (error) {
             console.error('Error loading MITRE ATT&CK data:', error);
-            alert('Failed to load MITRE ATT&CK data. Please check your internet connection and refresh the page.');
+            this.attackData = null;
+            this.attackDataError = error.message;
+            this.techniques = [];
+            this.techniquesById = {};
+            this.subTechniques = {};
+            this.threatActors = [];
+            this.threatActorsById = {};
+            this.mitigations = [];
+            this.mitigationsById = {};
+            this.mitigationsByTechnique = {};
+            this.tactics = [];
+            this.attackIndex = null;
+            this.attackUpgradeFrom = null;
+        }
+    }
+
+    async reloadAttackData() {
+        this.showLoading(true);
+        this.attackDiff = null;
+        await this.loadAttackData();
+        this.resetFrameworkOptions();
+        this.showLoading(false);
+
+        if (this.attackDataError) {
+            this.switchView('settings');
+        } else {
+            this.renderCurrentView();
+        }
+    }
+
+    // Filter and datalist options are filled once per framework load
+    resetFrameworkOptions() {
+        const tacticFilter = document.getElementById('tacticFilter');
+        if (tacticFilter) {
+            tacticFilter.length = 1;
+        }
+        const datalist = document.getElementById('techniquesList');
+        if (datalist) {
+            datalist.innerHTML = '';
+        }
+    }
+
+    validateAttackBundle(bundle) {
+        if (!bundle || bundle.type !== 'bundle' || !Array.isArray(bundle.objects)) {
+            throw new Error('File is not a STIX bundle');
+        }
+        if (!bundle.objects.some(obj => obj.type === 'attack-pattern')) {
+            throw new Error('STIX bundle does not contain any ATT&CK techniques');
+        }
+        const domain = this.getAttackDomain();
+        if (!bundle.objects.some(obj => obj.type === 'attack-pattern' &&
+            (obj.kill_chain_phases || []).some(phase => phase.kill_chain_name === domain.killChain))) {
+            throw new Error(`STIX bundle is not the ATT&CK for ${domain.name} matrix`);
+        }
+    }
+
+    // Bundle cache (IndexedDB)
+    openCacheDb() {
+        if (!window.indexedDB) return Promise.resolve(null);
+
+        if (!this.cacheDbPromise) {
+            this.cacheDbPromise = new Promise((resolve) => {
+                const request = indexedDB.open('mitre-attack-tracker', 2);
+                request.onupgradeneeded = (event) => {
+                    if (event.oldVersion < 1) request.result.createObjectStore('bundles', { keyPath: 'key' });
+                    if (event.oldVersion < 2) request.result.createObjectStore('userData');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.error('Error opening browser database:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.cacheDbPromise;
+    }
+
+    async cacheRequest(mode, operation, storeName = 'bundles') {
+        const db = await this.openCacheDb();
+        if (!db) return null;
+
+        return new Promise((resolve, reject) => {
+            const store = db.transaction(storeName, mode).objectStore(storeName);
+            const request = operation(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // User data lives in IndexedDB, where the localStorage quota does not apply. It is read
+    // into memory once at start-up so the app can keep reading it synchronously; writes
+    // are batched into one transaction. Without IndexedDB, localStorage is used as before.
+    async openUserStore() {
+        this.userStore = null;
+        this.pendingWrites = new Map();
+        this.storageFlush = null;
+
+        try {
+            const db = await this.openCacheDb();
+            if (!db) return;
+
+            const keys = await this.cacheRequest('readonly', store => store.getAllKeys(), 'userData');
+            const values = await this.cacheRequest('readonly', store => store.getAll(), 'userData');
+            this.userStore = new Map(keys.map((key, index) => [key, values[index]]));
+        } catch (error) {
+            console.error('Error opening user data store, using localStorage:', error);
+            this.userStore = null;
+            return;
+        }
+
+        // Move data saved before IndexedDB was used; settings stay in localStorage
+        const legacyKeys = Object.keys(localStorage).filter(key =>
+            key.startsWith('mitre_') && key !== 'mitre_settings' && key !== 'mitre_workspaces');
+        if (legacyKeys.length === 0) return;
+
+        legacyKeys.filter(key => !this.userStore.has(key))
+            .forEach(key => this.storageSet(key, localStorage.getItem(key)));
+        try {
+            await this.storageFlush;
+            legacyKeys.forEach(key => localStorage.removeItem(key));
+        } catch (error) {
+            console.error('Error moving user data to IndexedDB:', error);
+        }
+    }
+
+    storageGet(key) {
+        if (!this.userStore) return localStorage.getItem(key);
+        return this.userStore.has(key) ? this.userStore.get(key) : null;
+    }
+
+    storageSet(key, value) {
+        if (!this.userStore) {
+            localStorage.setItem(key, value);
+            return;
+        }
+        if (this.userStore.get(key) === value) return;
+        this.userStore.set(key, value);
+        this.queueStorageWrite(key, value);
+    }
+
+    storageRemove(key) {
+        if (!this.userStore) {
+            localStorage.removeItem(key);
+            return;
+        }
+        if (!this.userStore.has(key)) return;
+        this.userStore.delete(key);
+        this.queueStorageWrite(key, null);
+    }
+
+    storageKeys() {
+        return this.userStore ? [...this.userStore.keys()] : Object.keys(localStorage);
+    }
+
+    queueStorageWrite(key, value) {
+        this.pendingWrites.set(key, value);
+        if (this.storageFlush) return;
+
+        this.storageFlush = Promise.resolve().then(() => this.flushStorageWrites());
+        this.storageFlush.catch(error => {
+            console.error('Error saving user data:', error);
+            alert(`Your changes could not be saved in the browser: ${error && error.message ? error.message : error}. Export your data to keep a copy.`);
+        });
+    }
+
+    async flushStorageWrites() {
+        const writes = this.pendingWrites;
+        this.pendingWrites = new Map();
+        this.storageFlush = null;
+
+        const db = await this.openCacheDb();
+        try {
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction('userData', 'readwrite');
+                const store = transaction.objectStore('userData');
+                writes.forEach((value, key) => {
+                    if (value === null) {
+                        store.delete(key);
+                    } else {
+                        store.put(value, key);
+                    }
+                });
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        } catch (error) {
+            // Storage is full: drop the oldest backup and write the batch again with the next flush
+            if (!error || error.name !== 'QuotaExceededError' || !this.dropOldestBackup()) throw error;
+            writes.forEach((value, key) => {
+                if (!this.pendingWrites.has(key)) this.pendingWrites.set(key, value);
+            });
+        }
+    }
+
+    async getCachedBundle(key) {
+        try {
+            return await this.cacheRequest('readonly', store => store.get(key)) || null;
+        } catch (error) {
+            console.error('Error reading bundle cache:', error);
+            return null;
+        }
+    }
+
+    async putCachedBundle(key, bundle) {
+        const collection = bundle.objects.find(obj => obj.type === 'x-mitre-collection');
+        try {
+            await this.cacheRequest('readwrite', store => store.put({
+                key,
+                version: collection && collection.x_mitre_version ? collection.x_mitre_version : null,
+                cachedAt: new Date().toISOString(),
+                bundle
+            }));
+        } catch (error) {
+            // Quota errors shouldn't stop the app from using the data it already has
+            console.error('Error writing bundle cache:', error);
+        }
+    }
+
+    async deleteCachedBundle(key) {
+        try {
+            await this.cacheRequest('readwrite', store => store.delete(key));
+        } catch (error) {
+            console.error('Error deleting from bundle cache:', error);
+        }
+        this.renderSettingsView();
+    }
+
+    async listCachedBundles() {
+        try {
+            const records = await this.cacheRequest('readonly', store => store.getAll()) || [];
+            return records.map(({ key, version, cachedAt }) => ({ key, version, cachedAt }));
+        } catch (error) {
+            console.error('Error listing bundle cache:', error);
+            return [];
         }
     }
 
@@ -82,20 +747,39 @@ class MITREAttackTracker {
         // Keep the old mitreVersion for compatibility
         this.mitreVersion = `MITRE ATT&CK ${this.mitreVersionNumber}${this.mitreVersionDetails ? ' - ' + this.mitreVersionDetails : ''}`;
 
-        // Extract tactics
+        // Extract tactics in the column order of the matrix
+        const matrix = this.attackData.objects.find(obj => obj.type === 'x-mitre-matrix' && !obj.revoked && !obj.x_mitre_deprecated);
+        const tacticOrder = matrix ? matrix.tactic_refs || [] : [];
+        const tacticPosition = (tactic) => {
+            const position = tacticOrder.indexOf(tactic.id);
+            return position === -1 ? tacticOrder.length : position;
+        };
         this.tactics = this.attackData.objects
-            .filter(obj => obj.type === 'x-mitre-tactic')
+            .filter(obj => obj.type === 'x-mitre-tactic' && !obj.revoked && !obj.x_mitre_deprecated)
             .map(tactic => ({
                 id: tactic.id,
                 name: tactic.name,
                 shortName: tactic.x_mitre_shortname,
                 description: tactic.description
             }))
-            .sort((a, b) => a.name.localeCompare(b.name));
+            .sort((a, b) => tacticPosition(a) - tacticPosition(b) || a.name.localeCompare(b.name));
+
+        // Extract data sources and data components
+        this.processDataSources();
+
+        // Remember retired technique IDs so imports can tell them apart from typos
+        this.attackIndex = this.buildTechniqueIndex(this.attackData);
+        this.retiredTechniques = {};
+        Object.entries(this.attackIndex.techniques)
+            .filter(([id, entry]) => entry.status !== 'active')
+            .forEach(([id, entry]) => {
+                this.retiredTechniques[id] = { name: entry.name, reason: entry.status, replacedBy: entry.replacedBy };
+            });
 
         // Extract techniques and sub-techniques
+        const killChain = this.getAttackDomain().killChain;
         this.techniques = this.attackData.objects
-            .filter(obj => obj.type === 'attack-pattern' && !obj.revoked && !obj.deprecated)
+            .filter(obj => obj.type === 'attack-pattern' && !obj.revoked && !obj.deprecated && !obj.x_mitre_deprecated)
             .map(tech => {
                 const externalRefs = tech.external_references || [];
                 const mitreRef = externalRefs.find(ref => ref.source_name === 'mitre-attack');
@@ -106,7 +790,7 @@ class MITREAttackTracker {
                 // Extract tactics for this technique
                 const killChainPhases = tech.kill_chain_phases || [];
                 const techniqueTactics = killChainPhases
-                    .filter(phase => phase.kill_chain_name === 'mitre-attack')
+                    .filter(phase => phase.kill_chain_name === killChain)
                     .map(phase => phase.phase_name);
 
                 return {
@@ -118,6 +802,7 @@ class MITREAttackTracker {
                     parentId: parentId,
                     tactics: techniqueTactics,
                     platforms: tech.x_mitre_platforms || [],
+                    dataComponents: this.techniqueDataComponents[tech.id] || [],
                     url: mitreRef ? mitreRef.url : ''
                 };
             })
@@ -134,71 +819,833 @@ class MITREAttackTracker {
                 return aSubNum - bSubNum;
             });
 
+        this.techniquesById = {};
+        this.techniques.forEach(tech => { this.techniquesById[tech.id] = tech; });
+
+        // Index sub-techniques by parent for coverage roll-up
+        this.subTechniques = {};
+        this.techniques.filter(tech => tech.isSubTechnique).forEach(sub => {
+            (this.subTechniques[sub.parentId] = this.subTechniques[sub.parentId] || []).push(sub);
+        });
+
+        // Extract threat groups and software with the techniques they use
+        this.processThreatActors();
+
+        // Extract mitigations with the techniques they mitigate
+        this.processMitigations();
+
         console.log(`Loaded ${this.techniques.length} techniques and ${this.tactics.length} tactics`);
     }
 
-    loadUserData() {
-        // Load detections from localStorage
-        const savedDetections = localStorage.getItem('mitre_detections');
-        if (savedDetections) {
-            try {
-                this.detections = JSON.parse(savedDetections);
-            } catch (e) {
-                console.error('Error parsing saved detections:', e);
-                this.detections = [];
+    // Compact summary of every technique in a bundle (including retired ones), used to
+    // compare ATT&CK versions
+    buildTechniqueIndex(bundle) {
+        const objects = bundle.objects || [];
+        const collection = objects.find(obj => obj.type === 'x-mitre-collection');
+        const idsByStixId = {};
+        const revokedBy = {};
+        const techniques = {};
+        const killChain = this.getAttackDomain().killChain;
+
+        objects
+            .filter(obj => obj.type === 'relationship' && obj.relationship_type === 'revoked-by')
+            .forEach(rel => { revokedBy[rel.source_ref] = rel.target_ref; });
+
+        objects.filter(obj => obj.type === 'attack-pattern').forEach(obj => {
+            const mitreRef = (obj.external_references || []).find(ref => ref.source_name === 'mitre-attack');
+            if (!mitreRef || !mitreRef.external_id) return;
+
+            idsByStixId[obj.id] = mitreRef.external_id;
+            const status = obj.revoked ? 'revoked' : (obj.x_mitre_deprecated || obj.deprecated ? 'deprecated' : 'active');
+
+            // An ID can appear on a retired object and a current one; the current one wins
+            const existing = techniques[mitreRef.external_id];
+            if (existing && existing.status === 'active') return;
+
+            techniques[mitreRef.external_id] = {
+                name: obj.name,
+                status,
+                tactics: (obj.kill_chain_phases || [])
+                    .filter(phase => phase.kill_chain_name === killChain)
+                    .map(phase => phase.phase_name),
+                revokedByStixId: revokedBy[obj.id] || null
+            };
+        });
+
+        // Follow revoked-by chains to the technique that is current in this bundle
+        Object.values(techniques).forEach(entry => {
+            let target = entry.revokedByStixId;
+            const seen = new Set();
+            let replacement = null;
+            while (target && !seen.has(target)) {
+                seen.add(target);
+                replacement = idsByStixId[target] || null;
+                const next = replacement ? techniques[replacement] : null;
+                if (!next || next.status === 'active') break;
+                target = next.revokedByStixId;
             }
-        }
-    }
+            entry.replacedBy = replacement && techniques[replacement] && techniques[replacement].status === 'active'
+                ? replacement
+                : null;
+            delete entry.revokedByStixId;
+        });
 
-    saveUserData() {
-        localStorage.setItem('mitre_detections', JSON.stringify(this.detections));
+        return {
+            version: collection && collection.x_mitre_version ? `v${collection.x_mitre_version}` : 'v?',
+            techniques
+        };
     }
 
-    setupEventListeners() {
-        // Sidebar toggle
-        document.getElementById('sidebarToggle').addEventListener('click', () => this.toggleSidebar());
+    processThreatActors() {
+        const objects = this.attackData.objects;
+        const types = { 'intrusion-set': 'group', 'malware': 'malware', 'tool': 'tool' };
+
+        const techniquesByStixId = {};
+        this.techniques.forEach(tech => { techniquesByStixId[tech.stixId] = tech; });
+
+        const actorsByStixId = {};
+        objects
+            .filter(obj => types[obj.type] && !obj.revoked && !obj.x_mitre_deprecated)
+            .forEach(obj => {
+                const mitreRef = (obj.external_references || []).find(ref => ref.source_name === 'mitre-attack');
+                if (!mitreRef) return;
+                actorsByStixId[obj.id] = {
+                    id: mitreRef.external_id,
+                    stixId: obj.id,
+                    name: obj.name,
+                    type: types[obj.type],
+                    aliases: (obj.aliases || obj.x_mitre_aliases || []).filter(alias => alias !== obj.name),
+                    description: obj.description,
+                    url: mitreRef.url,
+                    techniques: []
+                };
+            });
 
-        // Navigation
-        document.querySelectorAll('.nav-item').forEach(item => {
-            item.addEventListener('click', (e) => {
-                const view = e.currentTarget.dataset.view;
-                this.switchView(view);
+        objects
+            .filter(obj => obj.type === 'relationship' && obj.relationship_type === 'uses' && !obj.revoked && !obj.x_mitre_deprecated)
+            .forEach(rel => {
+                const actor = actorsByStixId[rel.source_ref];
+                const technique = techniquesByStixId[rel.target_ref];
+                if (actor && technique && !actor.techniques.includes(technique.id)) {
+                    actor.techniques.push(technique.id);
+                }
             });
-        });
 
-        // Import/Export
-        document.getElementById('exportBtn').addEventListener('click', () => this.exportData());
-        document.getElementById('importBtn').addEventListener('click', () => {
-            document.getElementById('fileInput').click();
-        });
-        document.getElementById('fileInput').addEventListener('change', (e) => this.importData(e));
+        this.threatActors = Object.values(actorsByStixId).sort((a, b) => a.name.localeCompare(b.name));
+        this.threatActorsById = {};
+        this.threatActors.forEach(actor => { this.threatActorsById[actor.id] = actor; });
+    }
 
-        // Detection modal
-        const modal = document.getElementById('detectionModal');
-        document.getElementById('addDetectionBtn').addEventListener('click', () => {
-            this.editingDetectionId = null;
-            this.openDetectionModal();
-        });
+    processMitigations() {
+        const objects = this.attackData.objects;
+
+        const techniquesByStixId = {};
+        this.techniques.forEach(tech => { techniquesByStixId[tech.stixId] = tech; });
+
+        const mitigationsByStixId = {};
+        objects
+            .filter(obj => obj.type === 'course-of-action' && !obj.revoked && !obj.x_mitre_deprecated)
+            .forEach(obj => {
+                const mitreRef = (obj.external_references || []).find(ref => ref.source_name === 'mitre-attack');
+                if (!mitreRef) return;
+                mitigationsByStixId[obj.id] = {
+                    id: mitreRef.external_id,
+                    stixId: obj.id,
+                    name: obj.name,
+                    description: obj.description,
+                    url: mitreRef.url,
+                    techniques: []
+                };
+            });
 
-        modal.querySelector('.modal-close').addEventListener('click', () => this.closeDetectionModal());
-        modal.querySelector('.modal-cancel').addEventListener('click', () => this.closeDetectionModal());
+        objects
+            .filter(obj => obj.type === 'relationship' && obj.relationship_type === 'mitigates' && !obj.revoked && !obj.x_mitre_deprecated)
+            .forEach(rel => {
+                const mitigation = mitigationsByStixId[rel.source_ref];
+                const technique = techniquesByStixId[rel.target_ref];
+                if (mitigation && technique && !mitigation.techniques.includes(technique.id)) {
+                    mitigation.techniques.push(technique.id);
+                }
+            });
 
-        document.getElementById('detectionForm').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.saveDetection();
+        this.mitigations = Object.values(mitigationsByStixId).sort((a, b) => a.id.localeCompare(b.id));
+        this.mitigationsById = {};
+        this.mitigationsByTechnique = {};
+        this.mitigations.forEach(mitigation => {
+            this.mitigationsById[mitigation.id] = mitigation;
+            mitigation.techniques.forEach(id => {
+                (this.mitigationsByTechnique[id] = this.mitigationsByTechnique[id] || []).push(mitigation);
+            });
         });
+    }
 
-        // Click outside modal to close
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) {
-                this.closeDetectionModal();
-            }
-        });
+    processDataSources() {
+        const objects = this.attackData.objects;
 
-        // Search and filters
+        this.dataSources = objects
+            .filter(obj => obj.type === 'x-mitre-data-source' && !obj.revoked)
+            .map(ds => {
+                const mitreRef = (ds.external_references || []).find(ref => ref.source_name === 'mitre-attack');
+                return {
+                    id: mitreRef ? mitreRef.external_id : '',
+                    stixId: ds.id,
+                    name: ds.name,
+                    description: ds.description,
+                    platforms: ds.x_mitre_platforms || [],
+                    url: mitreRef ? mitreRef.url : ''
+                };
+            })
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        const sourcesByStixId = {};
+        this.dataSources.forEach(ds => { sourcesByStixId[ds.stixId] = ds; });
+
+        this.dataComponents = objects
+            .filter(obj => obj.type === 'x-mitre-data-component' && !obj.revoked)
+            .map(dc => {
+                const source = sourcesByStixId[dc.x_mitre_data_source_ref];
+                return {
+                    stixId: dc.id,
+                    name: dc.name,
+                    description: dc.description,
+                    dataSourceId: source ? source.stixId : null,
+                    dataSourceName: source ? source.name : 'Other'
+                };
+            })
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        const componentIds = new Set(this.dataComponents.map(dc => dc.stixId));
+
+        // Newer bundles route "detects" through detection strategies and analytics
+        // instead of pointing data components straight at techniques
+        const objectsById = {};
+        objects.forEach(obj => { objectsById[obj.id] = obj; });
+        const componentsForSource = (sourceRef) => {
+            if (componentIds.has(sourceRef)) return [sourceRef];
+            const strategy = objectsById[sourceRef];
+            if (!strategy || strategy.type !== 'x-mitre-detection-strategy') return [];
+            return (strategy.x_mitre_analytic_refs || [])
+                .map(ref => objectsById[ref])
+                .filter(Boolean)
+                .flatMap(analytic => (analytic.x_mitre_log_source_references || [])
+                    .map(logSource => logSource.x_mitre_data_component_ref))
+                .filter(ref => componentIds.has(ref));
+        };
+
+        this.techniqueDataComponents = {};
+        objects
+            .filter(obj => obj.type === 'relationship' && obj.relationship_type === 'detects' && !obj.revoked)
+            .forEach(rel => {
+                const components = this.techniqueDataComponents[rel.target_ref] || [];
+                componentsForSource(rel.source_ref).forEach(componentId => {
+                    if (!components.includes(componentId)) components.push(componentId);
+                });
+                this.techniqueDataComponents[rel.target_ref] = components;
+            });
+    }
+
+    // Saved user data of a workspace in the current domain, read without touching the app state
+    readUserData(workspaceId = this.settings.workspace) {
+        const read = (name, label, fallback, parse = value => value) => {
+            const saved = this.storageGet(this.getStorageKey(name, workspaceId));
+            if (!saved) return fallback;
+            try {
+                return parse(JSON.parse(saved));
+            } catch (e) {
+                console.error(`Error parsing saved ${label}:`, e);
+                return fallback;
+            }
+        };
+
+        return {
+            detections: read('detections', 'detections', [], value => value.map(det => this.normalizeDetection(det))),
+            testRuns: read('test_runs', 'test runs', []),
+            testRunIndex: null,
+            navigatorLayer: read('navigator_layer', 'Navigator layer', null),
+            techniqueModifiers: read('technique_modifiers', 'technique modifiers', {}),
+            techniqueExclusions: read('technique_exclusions', 'technique exclusions', {}),
+            excludedPlatforms: read('excluded_platforms', 'excluded platforms', []),
+            coverageSnapshots: read('coverage_snapshots', 'coverage snapshots', []),
+            selectedThreatActors: read('threat_selection', 'threat selection', []),
+            dataComponentAvailability: read('data_sources', 'data sources', {}),
+            mitigationStatus: read('mitigations', 'mitigations', {})
+        };
+    }
+
+    loadUserData() {
+        // Start from a clean slate: every domain has its own data
+        Object.assign(this, this.readUserData());
+    }
+
+    saveUserData() {
+        this.testRunIndex = null;
+        this.recordAutoSnapshot();
+        this.storageSet(this.getStorageKey('detections'), JSON.stringify(this.detections));
+        this.storageSet(this.getStorageKey('test_runs'), JSON.stringify(this.testRuns));
+        this.storageSet(this.getStorageKey('data_sources'), JSON.stringify(this.dataComponentAvailability));
+        this.storageSet(this.getStorageKey('technique_modifiers'), JSON.stringify(this.techniqueModifiers));
+        this.storageSet(this.getStorageKey('technique_exclusions'), JSON.stringify(this.techniqueExclusions));
+        this.storageSet(this.getStorageKey('excluded_platforms'), JSON.stringify(this.excludedPlatforms));
+        this.storageSet(this.getStorageKey('threat_selection'), JSON.stringify(this.selectedThreatActors));
+        this.storageSet(this.getStorageKey('coverage_snapshots'), JSON.stringify(this.coverageSnapshots));
+        this.storageSet(this.getStorageKey('mitigations'), JSON.stringify(this.mitigationStatus));
+        if (this.navigatorLayer) {
+            this.storageSet(this.getStorageKey('navigator_layer'), JSON.stringify(this.navigatorLayer));
+        } else {
+            this.storageRemove(this.getStorageKey('navigator_layer'));
+        }
+    }
+
+    // Runs a change to the detection rules and records it as one audit log entry and undo step
+    trackDetectionChanges(action, label, mutate) {
+        const snapshot = () => new Map(this.detections.map((det, index) => [det.id, { json: JSON.stringify(det), index }]));
+        const before = snapshot();
+        const result = mutate();
+        const after = snapshot();
+
+        const changes = [...new Set([...before.keys(), ...after.keys()])]
+            .filter(id => !before.has(id) || !after.has(id) || before.get(id).json !== after.get(id).json)
+            .map(id => ({
+                id,
+                before: before.has(id) ? JSON.parse(before.get(id).json) : null,
+                after: after.has(id) ? JSON.parse(after.get(id).json) : null,
+                beforeIndex: before.has(id) ? before.get(id).index : null,
+                afterIndex: after.has(id) ? after.get(id).index : null
+            }));
+
+        if (changes.length > 0) {
+            const entry = { id: this.generateId().replace(/^det_/, 'chg_'), timestamp: new Date().toISOString(), action, label, changes };
+            this.undoStack = [...this.undoStack, entry].slice(-this.maxUndoSteps);
+            this.redoStack = [];
+            this.appendAuditLog(entry);
+        }
+        return result;
+    }
+
+    // Puts the rules touched by a change back to their state before or after it
+    applyDetectionChanges(changes, side) {
+        const ids = new Set(changes.map(change => change.id));
+        const detections = this.detections.filter(det => !ids.has(det.id));
+
+        changes.filter(change => change[side])
+            .sort((a, b) => a[`${side}Index`] - b[`${side}Index`])
+            .forEach(change => detections.splice(change[`${side}Index`], 0, JSON.parse(JSON.stringify(change[side]))));
+        this.detections = detections;
+    }
+
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return;
+
+        this.applyDetectionChanges(entry.changes, 'before');
+        this.redoStack.push(entry);
+        this.appendAuditLog({
+            id: this.generateId().replace(/^det_/, 'chg_'),
+            timestamp: new Date().toISOString(),
+            action: 'undo',
+            label: `Undo: ${entry.label}`,
+            changes: entry.changes.map(change => ({
+                id: change.id,
+                before: change.after,
+                after: change.before,
+                beforeIndex: change.afterIndex,
+                afterIndex: change.beforeIndex
+            }))
+        });
+        this.saveUserData();
+        this.renderCurrentView();
+    }
+
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return;
+
+        this.applyDetectionChanges(entry.changes, 'after');
+        this.undoStack.push(entry);
+        this.appendAuditLog({
+            ...entry,
+            id: this.generateId().replace(/^det_/, 'chg_'),
+            timestamp: new Date().toISOString(),
+            action: 'redo',
+            label: `Redo: ${entry.label}`
+        });
+        this.saveUserData();
+        this.renderCurrentView();
+    }
+
+    // Undo history belongs to the workspace and domain it was made in
+    clearUndoHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    updateUndoButtons() {
+        const undo = this.undoStack[this.undoStack.length - 1];
+        const redo = this.redoStack[this.redoStack.length - 1];
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+
+        undoBtn.disabled = !undo;
+        undoBtn.title = undo ? `Undo: ${undo.label} (Ctrl+Z)` : 'Nothing to undo';
+        redoBtn.disabled = !redo;
+        redoBtn.title = redo ? `Redo: ${redo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+
+    // Audit trail of every change to the detection rules (newest first)
+    getAuditLog() {
+        try {
+            return JSON.parse(this.storageGet(this.getStorageKey('audit_log'))) || [];
+        } catch (e) {
+            console.error('Error parsing saved audit log:', e);
+            return [];
+        }
+    }
+
+    // The log keeps the changed fields of each rule; full copies only live in the undo history
+    appendAuditLog(entry) {
+        const log = [
+            { ...entry, changes: entry.changes.map(change => this.summarizeAuditChange(change)) },
+            ...this.getAuditLog()
+        ].slice(0, this.maxAuditEntries);
+
+        // Past the size budget the oldest entries go, however few there are
+        let size = 0;
+        const kept = log.filter((item, index) => {
+            size += JSON.stringify(item).length;
+            return index === 0 || size <= this.maxAuditLogSize;
+        });
+        this.storageSet(this.getStorageKey('audit_log'), JSON.stringify(kept));
+    }
+
+    // A rule touched by an entry, with the fields that changed
+    summarizeAuditChange(change) {
+        const format = value => {
+            if (value === undefined || value === null || value === '') return '-';
+            const text = Array.isArray(value) ? value.join(', ') : String(value);
+            return text.length > 80 ? `${text.substring(0, 77)}...` : text;
+        };
+        const rule = change.after || change.before;
+
+        return {
+            id: change.id,
+            name: rule.name,
+            change: !change.before ? 'created' : (!change.after ? 'deleted' : 'changed'),
+            fields: change.before && change.after
+                ? this.getChangedDetectionFields(change.before, change.after).map(field => ({
+                    field,
+                    before: format(change.before[field]),
+                    after: format(change.after[field])
+                }))
+                : []
+        };
+    }
+
+    // Entries logged before changes were summarized still hold the full rules
+    getAuditRows(entry) {
+        return entry.changes.map(change => change.fields ? change : this.summarizeAuditChange(change));
+    }
+
+    renderAuditView() {
+        const container = document.getElementById('auditLogTable');
+        if (!container) return;
+
+        const search = document.getElementById('auditSearch').value.trim().toLowerCase();
+        const action = document.getElementById('auditActionFilter').value;
+        const log = this.getAuditLog();
+        const entries = log.filter(entry => {
+            if (action && entry.action !== action) return false;
+            if (!search) return true;
+            return entry.label.toLowerCase().includes(search) ||
+                this.getAuditRows(entry).some(row => (row.name || '').toLowerCase().includes(search));
+        });
+        const shown = entries.slice(0, 200);
+
+        document.getElementById('auditCount').textContent = entries.length > shown.length
+            ? `Showing the latest ${shown.length} of ${entries.length} changes`
+            : `${entries.length} of ${log.length} changes`;
+
+        const changeClasses = { created: 'status-detected', changed: 'status-partially-detected', deleted: 'status-not-detected' };
+
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Time</th>
+                        <th>Action</th>
+                        <th>Change</th>
+                        <th>Rules</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${shown.length === 0 ? '<tr><td colspan="4" class="empty-state">No changes recorded yet</td></tr>' : ''}
+                    ${shown.map(entry => {
+                        const rows = this.getAuditRows(entry);
+                        return `
+                            <tr>
+                                <td>${new Date(entry.timestamp).toLocaleString()}</td>
+                                <td><span class="audit-action">${this.escapeHtml(entry.action)}</span></td>
+                                <td>${this.escapeHtml(entry.label)}</td>
+                                <td>
+                                    <ul class="audit-changes">
+                                        ${rows.slice(0, 20).map(row => `
+                                            <li>
+                                                <span class="status-badge ${changeClasses[row.change]}">${row.change}</span>
+                                                <strong>${this.escapeHtml(row.name)}</strong>
+                                                ${row.fields.map(item => `
+                                                    <div class="audit-field">
+                                                        ${this.escapeHtml(item.field)}:
+                                                        <del>${this.escapeHtml(item.before)}</del> → <ins>${this.escapeHtml(item.after)}</ins>
+                                                    </div>
+                                                `).join('')}
+                                            </li>
+                                        `).join('')}
+                                        ${rows.length > 20 ? `<li class="exclusion-note">and ${rows.length - 20} more rules</li>` : ''}
+                                    </ul>
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    exportAuditLog(format) {
+        const rows = [['Time', 'Action', 'Change', 'Rule ID', 'Rule', 'Field', 'Before', 'After']];
+        this.getAuditLog().forEach(entry => {
+            this.getAuditRows(entry).forEach(row => {
+                const fields = row.fields.length > 0 ? row.fields : [{ field: row.change, before: '', after: '' }];
+                fields.forEach(item => rows.push([entry.timestamp, entry.action, entry.label, row.id, row.name, item.field, item.before, item.after]));
+            });
+        });
+        this.downloadTable('Audit Log', rows, format, 'mitre-attack-audit-log');
+    }
+
+    setupEventListeners() {
+        // Sidebar toggle
+        document.getElementById('sidebarToggle').addEventListener('click', () => this.toggleSidebar());
+
+        // Technique detail panel
+        document.getElementById('closeTechniquePanelBtn').addEventListener('click', () => this.closeTechniquePanel());
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.selectedTechniqueId && !document.querySelector('.modal.active')) {
+                this.closeTechniquePanel();
+            }
+        });
+
+        // Undo/redo of changes to the detection rules
+        document.getElementById('undoBtn').addEventListener('click', () => this.undo());
+        document.getElementById('redoBtn').addEventListener('click', () => this.redo());
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || document.querySelector('.modal.active')) return;
+            // Text fields keep their own undo; checkboxes such as the rule selection don't have one
+            const textInput = e.target.tagName === 'INPUT' && !['checkbox', 'radio'].includes(e.target.type);
+            if (textInput || ['TEXTAREA', 'SELECT'].includes(e.target.tagName) || e.target.isContentEditable) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        // Audit log
+        document.getElementById('auditSearch').addEventListener('input', () => this.renderAuditView());
+        document.getElementById('auditActionFilter').addEventListener('change', () => this.renderAuditView());
+        document.getElementById('exportAuditCsvBtn').addEventListener('click', () => this.exportAuditLog('csv'));
+        document.getElementById('exportAuditXlsxBtn').addEventListener('click', () => this.exportAuditLog('xlsx'));
+
+        // Workspaces
+        document.getElementById('workspaceSelect').addEventListener('change', (e) => {
+            if (e.target.value === '__new') {
+                e.target.value = this.settings.workspace;
+                this.createWorkspace();
+            } else {
+                this.switchWorkspace(e.target.value);
+            }
+        });
+        document.getElementById('compareWorkspace').addEventListener('change', (e) => {
+            this.compareWorkspaceId = e.target.value || null;
+            this.renderCoverageView();
+        });
+
+        // ATT&CK domain
+        document.getElementById('domainSelect').addEventListener('change', (e) => this.switchAttackDomain(e.target.value));
+
+        // Navigation
+        document.querySelectorAll('.nav-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                const view = e.currentTarget.dataset.view;
+                this.switchView(view);
+            });
+        });
+
+        // Import/Export
+        document.getElementById('exportBtn').addEventListener('click', () => this.exportData());
+        document.getElementById('importBtn').addEventListener('click', () => {
+            document.getElementById('fileInput').click();
+        });
+        document.getElementById('fileInput').addEventListener('change', (e) => this.importData(e));
+
+        document.getElementById('expandAllBtn').addEventListener('click', () => this.toggleAllTechniquesExpanded());
+        ['matrixPlatformFilter', 'matrixStatusFilter', 'matrixColorBy'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.renderCoverageView());
+        });
+
+        // Sigma rules
+        document.getElementById('importSigmaBtn').addEventListener('click', () => {
+            document.getElementById('sigmaFileInput').click();
+        });
+        document.getElementById('importSigmaFolderBtn').addEventListener('click', () => {
+            document.getElementById('sigmaFolderInput').click();
+        });
+        document.getElementById('sigmaFileInput').addEventListener('change', (e) => this.importSigmaRules(e));
+        document.getElementById('sigmaFolderInput').addEventListener('change', (e) => this.importSigmaRules(e));
+
+        // CSV/XLSX import and export
+        document.getElementById('importSpreadsheetBtn').addEventListener('click', () => {
+            document.getElementById('spreadsheetFileInput').click();
+        });
+        document.getElementById('spreadsheetFileInput').addEventListener('change', (e) => this.loadSpreadsheetFile(e));
+
+        // Validation test runs
+        document.getElementById('importTestResultsBtn').addEventListener('click', () => {
+            document.getElementById('testResultsFileInput').click();
+        });
+        document.getElementById('testResultsFileInput').addEventListener('change', (e) => this.importTestResults(e));
+        const testResultsModal = document.getElementById('testResultsImportModal');
+        testResultsModal.querySelectorAll('.modal-close, .modal-cancel').forEach(btn => {
+            btn.addEventListener('click', () => this.closeTestResultsImport());
+        });
+        testResultsModal.addEventListener('click', (e) => {
+            if (e.target === testResultsModal) {
+                this.closeTestResultsImport();
+            }
+        });
+        document.getElementById('testResultsImportBody').addEventListener('change', (e) => this.updateTestResultsImport(e.target));
+        document.getElementById('confirmTestResultsImportBtn').addEventListener('click', () => this.confirmTestResultsImport());
+
+        const testRunModal = document.getElementById('testRunModal');
+        testRunModal.querySelectorAll('.modal-close, .modal-cancel').forEach(btn => {
+            btn.addEventListener('click', () => this.closeTestRunModal());
+        });
+        testRunModal.addEventListener('click', (e) => {
+            if (e.target === testRunModal) {
+                this.closeTestRunModal();
+            }
+        });
+        document.getElementById('testRunTechnique').addEventListener('change', () => this.renderTestRunDetectionOptions());
+        document.getElementById('testRunForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveTestRun();
+        });
+        document.getElementById('exportDetectionsCsvBtn').addEventListener('click', () => this.exportDetectionsTable('csv'));
+        document.getElementById('exportDetectionsXlsxBtn').addEventListener('click', () => this.exportDetectionsTable('xlsx'));
+        document.getElementById('exportTechniquesCsvBtn').addEventListener('click', () => this.exportTechniquesTable('csv'));
+        document.getElementById('exportTechniquesXlsxBtn').addEventListener('click', () => this.exportTechniquesTable('xlsx'));
+
+        const spreadsheetModal = document.getElementById('spreadsheetImportModal');
+        spreadsheetModal.querySelectorAll('.modal-close, .modal-cancel').forEach(btn => {
+            btn.addEventListener('click', () => this.closeSpreadsheetImport());
+        });
+        spreadsheetModal.addEventListener('click', (e) => {
+            if (e.target === spreadsheetModal) {
+                this.closeSpreadsheetImport();
+            }
+        });
+        document.getElementById('spreadsheetSheet').addEventListener('change', (e) => {
+            this.selectSpreadsheetSheet(parseInt(e.target.value, 10));
+        });
+        document.getElementById('spreadsheetMapping').addEventListener('change', (e) => this.updateSpreadsheetMapping(e.target));
+        document.getElementById('confirmSpreadsheetImportBtn').addEventListener('click', () => this.confirmSpreadsheetImport());
+
+        const dataImportModal = document.getElementById('dataImportModal');
+        dataImportModal.querySelectorAll('.modal-close, .modal-cancel').forEach(btn => {
+            btn.addEventListener('click', () => this.closeDataImport());
+        });
+        dataImportModal.addEventListener('click', (e) => {
+            if (e.target === dataImportModal) {
+                this.closeDataImport();
+            }
+        });
+        document.getElementById('dataImportBody').addEventListener('change', (e) => this.updateDataImportOption(e.target));
+        document.getElementById('applyDataImportBtn').addEventListener('click', () => this.applyDataImport());
+
+        const reportModal = document.getElementById('importReportModal');
+        reportModal.querySelectorAll('.modal-close, .modal-cancel').forEach(btn => {
+            btn.addEventListener('click', () => reportModal.classList.remove('active'));
+        });
+        reportModal.addEventListener('click', (e) => {
+            if (e.target === reportModal) {
+                reportModal.classList.remove('active');
+            }
+        });
+
+        // ATT&CK Navigator layers
+        document.getElementById('exportLayerBtn').addEventListener('click', () => this.exportNavigatorLayer());
+        document.getElementById('importLayerBtn').addEventListener('click', () => {
+            document.getElementById('layerFileInput').click();
+        });
+        document.getElementById('layerFileInput').addEventListener('change', (e) => this.importNavigatorLayer(e));
+        document.getElementById('layerMode').addEventListener('change', (e) => {
+            this.navigatorLayer.mode = e.target.value;
+            this.saveUserData();
+            this.renderCoverageView();
+        });
+        document.getElementById('removeLayerBtn').addEventListener('click', () => {
+            this.navigatorLayer = null;
+            this.saveUserData();
+            this.renderCoverageView();
+        });
+
+        // Detection modal
+        const modal = document.getElementById('detectionModal');
+        document.getElementById('addDetectionBtn').addEventListener('click', () => {
+            this.editingDetectionId = null;
+            this.openDetectionModal();
+        });
+
+        modal.querySelector('.modal-close').addEventListener('click', () => this.closeDetectionModal());
+        modal.querySelector('.modal-cancel').addEventListener('click', () => this.closeDetectionModal());
+
+        document.getElementById('detectionForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveDetection();
+        });
+
+        const techniqueInput = document.getElementById('techniqueInput');
+        document.getElementById('techniqueTagInput').addEventListener('click', () => techniqueInput.focus());
+        techniqueInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ',') {
+                e.preventDefault();
+                this.addTechniqueTags(techniqueInput.value);
+            } else if (e.key === 'Backspace' && !techniqueInput.value && this.editingTechniques.length > 0) {
+                this.removeTechniqueTag(this.editingTechniques[this.editingTechniques.length - 1]);
+            }
+        });
+        // Picking an entry from the datalist fires "input" with the complete ID
+        techniqueInput.addEventListener('input', (e) => {
+            if (e.inputType === 'insertReplacementText' || (!e.inputType && this.techniquesById[techniqueInput.value.trim().toUpperCase()])) {
+                this.addTechniqueTags(techniqueInput.value);
+            }
+        });
+        techniqueInput.addEventListener('paste', (e) => {
+            const text = (e.clipboardData || window.clipboardData).getData('text');
+            if (/[\s,;]/.test(text.trim())) {
+                e.preventDefault();
+                this.addTechniqueTags(text);
+            }
+        });
+
+        // Click outside modal to close
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeDetectionModal();
+            }
+        });
+
+        // Not applicable platforms
+        const platformModal = document.getElementById('platformModal');
+        document.getElementById('excludePlatformsBtn').addEventListener('click', () => this.openPlatformModal());
+        platformModal.querySelector('.modal-close').addEventListener('click', () => this.closePlatformModal());
+        platformModal.querySelector('.modal-cancel').addEventListener('click', () => this.closePlatformModal());
+        document.getElementById('savePlatformsBtn').addEventListener('click', () => this.savePlatformExclusions());
+        platformModal.addEventListener('click', (e) => {
+            if (e.target === platformModal) {
+                this.closePlatformModal();
+            }
+        });
+
+        // Markup rendered from data names its handler in data-action instead of an inline
+        // onclick, so that the page runs under a Content Security Policy without inline scripts
+        const actions = this.getActionHandlers();
+        const dispatchAction = (event) => {
+            const element = event.target.closest('[data-action]');
+            if (!element || !actions[element.dataset.action]) return;
+
+            // Inputs and selects act on change, everything else on click
+            if ((event.type === 'change') !== element.matches('input, select, textarea')) return;
+            if (element.tagName === 'A') event.preventDefault();
+            actions[element.dataset.action](element, event);
+        };
+        document.addEventListener('click', dispatchAction);
+        document.addEventListener('change', dispatchAction);
+
+        // Search and filters
+        window.addEventListener('popstate', () => this.applyRoute());
+        Object.values(this.routeFilters).forEach(filters => Object.values(filters).forEach(id => {
+            const element = document.getElementById(id);
+            element.addEventListener(element.tagName === 'SELECT' ? 'change' : 'input', () => this.updateRoute(false));
+        }));
         document.getElementById('techniqueSearch')?.addEventListener('input', () => this.renderTechniquesView());
         document.getElementById('tacticFilter')?.addEventListener('change', () => this.renderTechniquesView());
         document.getElementById('statusFilter')?.addEventListener('change', () => this.renderTechniquesView());
+        document.getElementById('detectionSearch').addEventListener('input', () => this.renderDetectionsView());
+        ['detectionStatusFilter', 'detectionSeverityFilter', 'detectionOwnerFilter', 'detectionProductFilter', 'detectionTagFilter', 'detectionActiveFilter']
+            .forEach(id => document.getElementById(id).addEventListener('change', () => this.renderDetectionsView()));
+        document.getElementById('dataSourceSearch')?.addEventListener('input', () => this.renderDataSourcesView());
+        document.getElementById('mitigationSearch').addEventListener('input', () => this.renderMitigationsView());
+        document.getElementById('mitigationStatusFilter').addEventListener('change', () => this.renderMitigationsView());
+        ['dashboardCoverageMode', 'matrixCoverageMode'].forEach(id => {
+            document.getElementById(id).addEventListener('change', (e) => this.setCoverageMode(e.target.value));
+        });
+        document.getElementById('threatSearch')?.addEventListener('input', () => this.renderThreatsView());
+        document.getElementById('threatTypeFilter')?.addEventListener('change', () => this.renderThreatsView());
+
+        // Coverage snapshots
+        document.getElementById('takeSnapshotBtn').addEventListener('click', () => this.takeSnapshot());
+        document.getElementById('openReportBtn').addEventListener('click', () => this.openReportModal());
+
+        const coverageReportModal = document.getElementById('coverageReportModal');
+        coverageReportModal.querySelectorAll('.modal-close, .modal-cancel').forEach(btn => {
+            btn.addEventListener('click', () => this.closeReportModal());
+        });
+        coverageReportModal.addEventListener('click', (e) => {
+            if (e.target === coverageReportModal) {
+                this.closeReportModal();
+            }
+        });
+        document.getElementById('downloadReportBtn').addEventListener('click', () => this.downloadReport());
+        document.getElementById('reportForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.printReport();
+        });
+        document.getElementById('snapshotCompare').addEventListener('change', (e) => this.compareWithSnapshot(e.target.value));
+        document.getElementById('trendTactic').addEventListener('change', () => this.renderTrendChart());
+
+        // Threat groups and software
+        document.getElementById('clearThreatsBtn').addEventListener('click', () => {
+            this.selectedThreatActors = [];
+            this.threatMatrixFilter = false;
+            this.saveUserData();
+            this.renderThreatsView();
+        });
+        document.getElementById('showThreatMatrixBtn').addEventListener('click', () => {
+            this.threatMatrixFilter = true;
+            this.switchView('coverage');
+        });
+        document.getElementById('threatMatrixFilter').addEventListener('change', (e) => {
+            this.threatMatrixFilter = e.target.checked;
+            this.renderCoverageView();
+        });
+
+        // ATT&CK data settings
+        document.getElementById('attackDataSource').addEventListener('change', () => this.updateAttackDataFields());
+        document.getElementById('applyAttackSettingsBtn').addEventListener('click', () => this.applyAttackDataSettings());
+        document.getElementById('loadBundleFileBtn').addEventListener('click', () => {
+            document.getElementById('bundleFileInput').click();
+        });
+        document.getElementById('bundleFileInput').addEventListener('change', (e) => this.loadBundleFile(e));
+
+        // Framework updates
+        document.getElementById('compareAttackVersionsBtn').addEventListener('click', () => this.compareAttackVersions());
+        document.getElementById('markAttackReviewedBtn').addEventListener('click', () => this.markAttackUpgradeReviewed());
+        document.getElementById('saveScoringBtn').addEventListener('click', () => this.saveScoringSettings());
+        document.getElementById('resetScoringBtn').addEventListener('click', () => this.resetScoringSettings());
+        document.getElementById('reviewAttackUpgradeBtn').addEventListener('click', () => this.reviewAttackUpgrade());
     }
 
     toggleSidebar() {
@@ -227,6 +1674,7 @@ class MITREAttackTracker {
 
         this.currentView = view;
         this.renderCurrentView();
+        this.updateRoute();
 
         // Close mobile sidebar after navigation
         if (window.innerWidth <= 768) {
@@ -234,6 +1682,143 @@ class MITREAttackTracker {
         }
     }
 
+    getActionHandlers() {
+        return {
+            'switch-workspace': el => this.switchWorkspace(el.dataset.id),
+            'rename-workspace': el => this.renameWorkspace(el.dataset.id),
+            'delete-workspace': el => this.deleteWorkspace(el.dataset.id),
+            'compare-snapshot': el => this.compareWithSnapshot(el.dataset.id),
+            'delete-snapshot': el => this.deleteSnapshot(el.dataset.id),
+            'show-technique': el => this.showTechniqueDetails(el.dataset.id),
+            'matrix-cell': (el, event) => this.onMatrixCellClick(event, el.dataset.id),
+            'toggle-expanded': el => this.toggleTechniqueExpanded(el.dataset.id),
+            'create-rule-from-selection': () => this.createRuleFromSelection(),
+            'attach-selection': () => this.attachSelectionToRule(),
+            'clear-selection': () => this.clearMatrixSelection(),
+            'set-modifier': el => this.setDetectionRulesModifier(el.dataset.id, el.value),
+            'toggle-excluded': el => this.toggleTechniqueExcluded(el.dataset.id),
+            'toggle-threat': el => this.toggleThreatActor(el.dataset.id),
+            'add-detection-for-technique': el => this.addDetectionForTechnique(el.dataset.id),
+            'set-data-source-available': el => this.setDataSourceAvailable(el.dataset.id || null, el.dataset.available === 'true'),
+            'toggle-data-component': el => this.toggleDataComponent(el.dataset.id),
+            'set-mitigation-status': el => this.setMitigationStatus(el.dataset.id, el.value),
+            'set-mitigation-notes': el => this.setMitigationNotes(el.dataset.id, el.value),
+            'delete-cached-bundle': el => this.deleteCachedBundle(el.dataset.id),
+            'apply-remap': () => this.applyTechniqueRemap(),
+            'edit-detection': el => this.editDetection(el.dataset.id),
+            'delete-detection': el => this.deleteDetection(el.dataset.id),
+            'toggle-detection-active': el => this.toggleDetectionActive(el.dataset.id),
+            'sort-detections': el => this.sortDetections(el.dataset.id),
+            'remove-technique-tag': el => this.removeTechniqueTag(el.dataset.id),
+            'select-detection': el => this.toggleDetectionSelected(el.dataset.id, el.checked),
+            'select-all-detections': el => this.selectFilteredDetections(el.checked),
+            'clear-detection-selection': () => this.clearDetectionSelection(),
+            'bulk-set-active': el => this.setSelectedDetectionsActive(el.dataset.active === 'true'),
+            'bulk-set-field': el => this.setSelectedDetectionsField(el.dataset.field, el.value),
+            'bulk-set-owner': () => this.setSelectedDetectionsOwner(),
+            'bulk-add-technique': () => this.addTechniqueToSelectedDetections(),
+            'bulk-remove-technique': el => this.removeTechniqueFromSelectedDetections(el.value),
+            'bulk-delete': () => this.deleteSelectedDetections(),
+            'bulk-export': el => this.exportDetectionsTable(el.dataset.format, this.getSelectedDetections(), 'mitre-attack-detections-selection'),
+            'open-test-run': el => this.openTestRunModal(el.dataset.id),
+            'delete-test-run': el => this.deleteTestRun(el.dataset.id),
+            'restore-backup': el => this.restoreBackup(el.dataset.id),
+            'download-backup': el => this.downloadBackup(el.dataset.id)
+        };
+    }
+
+    // URL routing: #/<view>?<filters>&technique=<id>&rule=<id>
+    getRouteHash() {
+        const params = new URLSearchParams();
+        // Rules and filters belong to a workspace, so links to other workspaces name theirs
+        if (this.settings.workspace !== 'default') {
+            params.set('workspace', this.settings.workspace);
+        }
+        Object.entries(this.routeFilters[this.currentView] || {}).forEach(([param, id]) => {
+            const value = document.getElementById(id).value;
+            if (value.trim()) params.set(param, value);
+        });
+        if (this.selectedTechniqueId) {
+            params.set('technique', this.selectedTechniqueId);
+        }
+        if (this.editingDetectionId && document.getElementById('detectionModal').classList.contains('active')) {
+            params.set('rule', this.editingDetectionId);
+        }
+
+        const query = params.toString();
+        return `#/${this.currentView}${query ? `?${query}` : ''}`;
+    }
+
+    // Navigation adds a history entry; typing in a filter only updates the current one
+    updateRoute(push = true) {
+        if (this.applyingRoute) return;
+
+        const hash = this.getRouteHash();
+        if (hash === window.location.hash) return;
+        if (push && window.location.hash) {
+            history.pushState(null, '', hash);
+        } else {
+            history.replaceState(null, '', hash);
+        }
+    }
+
+    parseRoute(hash) {
+        const match = hash.match(/^#\/([\w-]+)(?:\?(.*))?$/);
+        if (!match || !document.querySelector(`.nav-item[data-view="${match[1]}"]`)) return null;
+        return { view: match[1], params: new URLSearchParams(match[2] || '') };
+    }
+
+    // Restores the view, filters, technique panel and rule editor from the URL
+    applyRoute() {
+        const route = this.parseRoute(window.location.hash);
+        if (!route) return false;
+
+        // Switching workspaces reloads the data; the rest of the link is applied once it is in
+        const workspaceId = route.params.get('workspace') || 'default';
+        if (workspaceId !== this.settings.workspace && this.getWorkspace(workspaceId)) {
+            this.applyingRoute = true;
+            this.switchWorkspace(workspaceId).finally(() => {
+                this.applyingRoute = false;
+                this.applyRoute();
+            });
+            return true;
+        }
+
+        this.applyingRoute = true;
+        try {
+            // Render first so that filter options built from the data exist before they are selected
+            this.switchView(route.view);
+            const filters = Object.entries(this.routeFilters[route.view] || {});
+            if (filters.length > 0) {
+                filters.forEach(([param, id]) => {
+                    document.getElementById(id).value = route.params.get(param) || '';
+                });
+                this.renderCurrentView();
+            }
+
+            const techniqueId = route.params.get('technique');
+            if (techniqueId && this.techniquesById[techniqueId]) {
+                this.showTechniqueDetails(techniqueId);
+            } else if (this.selectedTechniqueId) {
+                this.closeTechniquePanel();
+            }
+
+            const ruleId = route.params.get('rule');
+            const editing = document.getElementById('detectionModal').classList.contains('active') && this.editingDetectionId;
+            if (ruleId && this.detections.some(det => det.id === ruleId)) {
+                if (editing !== ruleId) this.editDetection(ruleId);
+            } else if (editing) {
+                this.closeDetectionModal();
+            }
+        } finally {
+            this.applyingRoute = false;
+        }
+
+        // Drop parts of the link that no longer resolve, such as a deleted rule
+        this.updateRoute(false);
+        return true;
+    }
+
     renderCurrentView() {
         switch(this.currentView) {
             case 'dashboard':
@@ -248,73 +1833,711 @@ class MITREAttackTracker {
             case 'detections':
                 this.renderDetectionsView();
                 break;
+            case 'data-sources':
+                this.renderDataSourcesView();
+                break;
+            case 'threats':
+                this.renderThreatsView();
+                break;
+            case 'mitigations':
+                this.renderMitigationsView();
+                break;
+            case 'settings':
+                this.renderSettingsView();
+                break;
+            case 'audit':
+                this.renderAuditView();
+                break;
+        }
+
+        if (this.selectedTechniqueId) {
+            this.renderTechniquePanel();
         }
+        this.updateUndoButtons();
     }
 
     // Calculate technique status and coverage
-    getTechniqueStatus(technique) {
-        const detectionRules = this.getDetectionRulesForTechnique(technique.id);
-        return detectionRules > 0 ? 'detected' : 'not detected';
+    getTechniqueStatus(technique, mode = this.settings.coverageMode) {
+        if (this.isTechniqueExcluded(technique)) return 'not applicable';
+
+        const level = this.getCoverageLevel(this.getTechniqueCoverage(technique, mode) * 100);
+        if (level === 'high') return 'detected';
+        return level === 'none' ? 'not detected' : 'partially detected';
     }
 
-    getDetectionRulesForTechnique(techniqueId) {
-        return this.detections.filter(det =>
-            det.isActive &&
-            (det.technique1 === techniqueId ||
-             det.technique2 === techniqueId ||
-             det.technique3 === techniqueId)
-        ).length;
+    // none / low / partial / high, using the thresholds of the scoring model
+    getCoverageLevel(coverage) {
+        if (coverage <= 0) return 'none';
+        if (coverage >= this.scoring.highThreshold) return 'high';
+        return coverage >= this.scoring.partialThreshold ? 'partial' : 'low';
     }
 
-    calculateCoverage(technique) {
-        const status = this.getTechniqueStatus(technique);
-        return status === 'detected' ? 1.0 : 0.0;
+    getCoverageColor(coverage) {
+        const colors = { high: '#28a745', partial: '#ffc107', low: '#fd7e14', none: '#dc3545' };
+        return colors[this.getCoverageLevel(coverage)];
     }
 
-    // Dashboard rendering
-    renderDashboard() {
-        // Update MITRE version
-        const versionNumberElement = document.getElementById('mitreVersionNumber');
-        if (versionNumberElement) {
-            versionNumberElement.textContent = this.mitreVersionNumber;
-        }
+    // Weight of a single rule between 0 and 1
+    getRuleScore(detection) {
+        if (!detection.isActive) return 0;
 
-        const versionDetailsElement = document.getElementById('mitreVersionDetails');
-        if (versionDetailsElement) {
-            versionDetailsElement.textContent = this.mitreVersionDetails;
+        const severity = this.scoring.severity[detection.severity || 'Unspecified'];
+        const status = this.scoring.status[detection.status || 'production'];
+        return (severity === undefined ? this.scoring.severity.Unspecified : severity) *
+            (status === undefined ? 1 : status) *
+            (this.isDetectionValidated(detection) ? this.scoring.validated : this.scoring.unvalidated);
+    }
+
+    // Weighted rules on a technique, in "full rules" (see rulesPerTechnique)
+    getDetectionUnits(techniqueId) {
+        const total = this.getActiveDetectionsForTechnique(techniqueId)
+            .reduce((sum, det) => sum + this.getRuleScore(det), 0);
+        return total / Math.max(this.scoring.rulesPerTechnique, 1);
+    }
+
+    getDetectionRulesForTechnique(techniqueId) {
+        return this.getActiveDetectionsForTechnique(techniqueId).length;
+    }
+
+    getActiveDetectionsForTechnique(techniqueId) {
+        return this.detections.filter(det =>
+            det.isActive && det.techniques.includes(techniqueId)
+        );
+    }
+
+    // Latest test run per rule and per technique; rebuilt after every save
+    getTestRunIndex() {
+        if (!this.testRunIndex) {
+            const byDetection = {};
+            const byTechnique = {};
+            // Stable sort, so of two runs on the same day the one recorded last wins
+            [...this.testRuns].sort((a, b) => a.date.localeCompare(b.date)).forEach(run => {
+                byTechnique[run.techniqueId] = run;
+                if (run.detectionId) byDetection[run.detectionId] = run;
+            });
+            this.testRunIndex = { byDetection, byTechnique };
+        }
+        return this.testRunIndex;
+    }
+
+    // A rule with test runs is validated when it fired in the latest one; otherwise
+    // the "Validated" checkbox of the rule applies
+    isDetectionValidated(detection) {
+        const run = this.getTestRunIndex().byDetection[detection.id];
+        return run ? run.result === 'detected' : Boolean(detection.validated);
+    }
+
+    getTestRunsForTechnique(techniqueId) {
+        return this.testRuns
+            .filter(run => run.techniqueId === techniqueId || run.techniqueId.startsWith(`${techniqueId}.`))
+            .sort((a, b) => b.date.localeCompare(a.date));
+    }
+
+    // validated / partial / failed / untested, from the latest test run of the technique
+    // and of each of its applicable sub-techniques
+    getValidationStatus(technique) {
+        const latest = this.getTestRunIndex().byTechnique;
+        const ids = [technique.id, ...this.getApplicableSubTechniques(technique.id).map(sub => sub.id)];
+        const results = ids.filter(id => latest[id]).map(id => latest[id].result);
+
+        if (results.length === 0) return 'untested';
+        if (results.every(result => result === 'detected')) return 'validated';
+        return results.every(result => result === 'missed') ? 'failed' : 'partial';
+    }
+
+    renderValidationMarker(technique, coverage) {
+        const status = this.getValidationStatus(technique);
+        if (this.isTechniqueExcluded(technique) || (status === 'untested' && coverage <= 0)) return '';
+
+        const markers = { validated: '✓', partial: '◐', failed: '✗', untested: '?' };
+        const titles = {
+            validated: 'Validated: detected in the latest test run',
+            partial: 'Partially validated: the latest test runs were only partly detected',
+            failed: 'Failed: missed in the latest test run',
+            untested: 'Covered by rules but not tested yet'
+        };
+        return `<span class="validation-marker validation-${status}" title="${titles[status]}">${markers[status]}</span>`;
+    }
+
+    // Rules saved or exported before 3.1 carry technique1..3 instead of a list
+    normalizeDetection(detection) {
+        const normalized = { ...detection };
+        const legacy = [detection.technique1, detection.technique2, detection.technique3];
+        const techniques = Array.isArray(detection.techniques) ? detection.techniques : legacy;
+
+        normalized.techniques = [...new Set(techniques
+            .filter(id => typeof id === 'string')
+            .map(id => id.trim().toUpperCase())
+            .filter(Boolean))];
+
+        // Rules from before the lifecycle existed were all in use
+        if (!this.ruleStatuses.includes(normalized.status)) {
+            normalized.status = 'production';
+        }
+        normalized.validated = Boolean(normalized.validated);
+
+        // "source" held the SIEM/EDR product before the lifecycle metadata was added
+        if (normalized.product === undefined && typeof detection.source === 'string') {
+            normalized.product = detection.source;
+        }
+        delete normalized.source;
+
+        const list = value => Array.isArray(value)
+            ? [...new Set(value.filter(item => typeof item === 'string').map(item => item.trim()).filter(Boolean))]
+            : [];
+        normalized.tags = list(detection.tags);
+        normalized.references = list(detection.references);
+
+        delete normalized.technique1;
+        delete normalized.technique2;
+        delete normalized.technique3;
+        return normalized;
+    }
+
+    // Mirrors the workbook: a technique expects one rule, a parent one per
+    // sub-technique, plus the "detection rules modifier" set by the user
+    calculateCoverage(technique) {
+        if (this.isTechniqueExcluded(technique)) return 0.0;
+
+        const expected = this.getExpectedDetectionRules(technique);
+        if (expected <= 0) return 0.0;
+
+        return Math.min(1, this.getCoveredDetectionUnits(technique) / expected);
+    }
+
+    getMitigationsForTechnique(techniqueId) {
+        return this.mitigationsByTechnique[techniqueId] || [];
+    }
+
+    getMitigationState(mitigationId) {
+        return this.mitigationStatus[mitigationId] || { status: 'not implemented', notes: '' };
+    }
+
+    // A technique is as mitigated as its best mitigation in place; sub-techniques also count the
+    // mitigations of their parent, and a parent with sub-techniques takes the average of them
+    calculateMitigationCoverage(technique) {
+        if (this.isTechniqueExcluded(technique)) return 0.0;
+
+        const subTechniques = this.getApplicableSubTechniques(technique.id);
+        if (subTechniques.length > 0) {
+            return subTechniques.reduce((total, sub) => total + this.calculateMitigationCoverage(sub), 0) / subTechniques.length;
+        }
+
+        const mitigations = [
+            ...this.getMitigationsForTechnique(technique.id),
+            ...(technique.parentId ? this.getMitigationsForTechnique(technique.parentId) : [])
+        ];
+        return Math.max(0, ...mitigations.map(mitigation => this.mitigationStatuses[this.getMitigationState(mitigation.id).status] || 0));
+    }
+
+    // Combined coverage is only full when a technique is both detected and mitigated
+    getTechniqueCoverage(technique, mode = this.settings.coverageMode) {
+        if (mode === 'mitigation') return this.calculateMitigationCoverage(technique);
+        if (mode === 'combined') return (this.calculateCoverage(technique) + this.calculateMitigationCoverage(technique)) / 2;
+        return this.calculateCoverage(technique);
+    }
+
+    getCoverageStatusLabels(mode = this.settings.coverageMode) {
+        const labels = {
+            detection: ['Detected', 'Partially Detected', 'Not Detected'],
+            mitigation: ['Mitigated', 'Partially Mitigated', 'Not Mitigated'],
+            combined: ['Detected & Mitigated', 'Partially Covered', 'Not Covered']
+        }[mode];
+        return { detected: labels[0], 'partially detected': labels[1], 'not detected': labels[2] };
+    }
+
+    setCoverageMode(mode) {
+        if (!this.coverageModes[mode]) return;
+
+        this.settings.coverageMode = mode;
+        this.saveSettings();
+        this.renderCurrentView();
+    }
+
+    getSubTechniques(techniqueId) {
+        return this.subTechniques[techniqueId] || [];
+    }
+
+    getApplicableSubTechniques(techniqueId) {
+        return this.getSubTechniques(techniqueId).filter(sub => !this.isTechniqueExcluded(sub));
+    }
+
+    isTechniqueExcluded(technique) {
+        return this.getExclusionReason(technique) !== null;
+    }
+
+    // Why a technique is out of scope, or null when it counts towards coverage
+    getExclusionReason(technique) {
+        const exclusion = this.techniqueExclusions[technique.id];
+        if (exclusion) {
+            return exclusion.note || 'Marked as not applicable';
+        }
+
+        if (technique.parentId && this.techniqueExclusions[technique.parentId]) {
+            return `Parent technique ${technique.parentId} is not applicable`;
+        }
+
+        if (this.excludedPlatforms.length > 0 && technique.platforms.length > 0 &&
+            technique.platforms.every(platform => this.excludedPlatforms.includes(platform))) {
+            return `Platforms not in use: ${technique.platforms.join(', ')}`;
+        }
+
+        return null;
+    }
+
+    getApplicableTechniques(techniques) {
+        return techniques.filter(tech => !this.isTechniqueExcluded(tech));
+    }
+
+    // Average coverage in percent, leaving not applicable techniques out of the denominator
+    getCoveragePercent(techniques, mode = this.settings.coverageMode) {
+        const applicable = this.getApplicableTechniques(techniques);
+        if (applicable.length === 0) return 0;
+
+        const totalCoverage = applicable.reduce((total, tech) => total + this.getTechniqueCoverage(tech, mode), 0);
+        return (totalCoverage / applicable.length) * 100;
+    }
+
+    toggleTechniqueExcluded(techniqueId) {
+        if (this.techniqueExclusions[techniqueId]) {
+            delete this.techniqueExclusions[techniqueId];
+        } else {
+            const note = prompt(`Why is ${techniqueId} not applicable to this environment?`, '');
+            if (note === null) {
+                // Put the "Applicable" toggle back
+                this.renderCurrentView();
+                return;
+            }
+
+            this.techniqueExclusions[techniqueId] = {
+                note: note.trim(),
+                excludedAt: new Date().toISOString()
+            };
+        }
+        this.saveUserData();
+        this.renderCurrentView();
+    }
+
+    getAllPlatforms() {
+        return [...new Set(this.techniques.flatMap(tech => tech.platforms))].sort();
+    }
+
+    openPlatformModal() {
+        const container = document.getElementById('platformCheckboxes');
+        container.innerHTML = this.getAllPlatforms().map(platform => {
+            const count = this.techniques.filter(tech => tech.platforms.includes(platform)).length;
+            return `
+                <label class="checkbox-option">
+                    <input type="checkbox" value="${this.escapeHtml(platform)}" ${this.excludedPlatforms.includes(platform) ? 'checked' : ''}>
+                    ${this.escapeHtml(platform)} <span class="checkbox-count">${count} techniques</span>
+                </label>
+            `;
+        }).join('');
+        document.getElementById('platformModal').classList.add('active');
+    }
+
+    closePlatformModal() {
+        document.getElementById('platformModal').classList.remove('active');
+    }
+
+    savePlatformExclusions() {
+        this.excludedPlatforms = [...document.querySelectorAll('#platformCheckboxes input:checked')]
+            .map(input => input.value);
+        this.saveUserData();
+        this.closePlatformModal();
+        this.renderCurrentView();
+    }
+
+    getDetectionRulesModifier(techniqueId) {
+        return this.techniqueModifiers[techniqueId] || 0;
+    }
+
+    getExpectedDetectionRules(technique) {
+        const subTechniques = this.getApplicableSubTechniques(technique.id);
+        return Math.max(subTechniques.length, 1) + this.getDetectionRulesModifier(technique.id);
+    }
+
+    getCoveredDetectionUnits(technique) {
+        const directUnits = this.getDetectionUnits(technique.id);
+        const subTechniques = this.getApplicableSubTechniques(technique.id);
+        if (subTechniques.length === 0) {
+            return Math.min(directUnits, this.getExpectedDetectionRules(technique));
+        }
+
+        // Each sub-technique fills one slot as far as it is covered; rules on the
+        // parent itself fill the modifier slots (or one slot when no modifier is set)
+        const subTechniqueUnits = subTechniques.reduce((sum, sub) => sum + this.calculateCoverage(sub), 0);
+        const directSlots = Math.max(this.getDetectionRulesModifier(technique.id), 1);
+        return subTechniqueUnits + Math.min(directUnits, directSlots);
+    }
+
+    getSubTechniqueDetectionRules(techniqueId) {
+        return this.getSubTechniques(techniqueId)
+            .reduce((total, sub) => total + this.getDetectionRulesForTechnique(sub.id), 0);
+    }
+
+    // The workbook's "modifier should be increased" check for parents detected directly
+    needsModifierIncrease(technique) {
+        return this.getApplicableSubTechniques(technique.id).length > 0 &&
+            this.getDetectionRulesForTechnique(technique.id) > this.getDetectionRulesModifier(technique.id);
+    }
+
+    setDetectionRulesModifier(techniqueId, value) {
+        const modifier = Math.max(0, parseInt(value, 10) || 0);
+        if (modifier > 0) {
+            this.techniqueModifiers[techniqueId] = modifier;
+        } else {
+            delete this.techniqueModifiers[techniqueId];
+        }
+        this.saveUserData();
+        this.renderCurrentView();
+    }
+
+    toggleTechniqueExpanded(techniqueId) {
+        if (this.expandedTechniques.has(techniqueId)) {
+            this.expandedTechniques.delete(techniqueId);
+        } else {
+            this.expandedTechniques.add(techniqueId);
+        }
+        this.renderCoverageView();
+    }
+
+    toggleAllTechniquesExpanded() {
+        const parents = Object.keys(this.subTechniques);
+        if (this.expandedTechniques.size >= parents.length) {
+            this.expandedTechniques.clear();
+        } else {
+            this.expandedTechniques = new Set(parents);
+        }
+        this.renderCoverageView();
+    }
+
+    isDataComponentAvailable(componentId) {
+        return this.dataComponentAvailability[componentId] === true;
+    }
+
+    getAvailableDataComponents(technique) {
+        return technique.dataComponents.filter(id => this.isDataComponentAvailable(id)).length;
+    }
+
+    // A rule that relies on telemetry we don't collect cannot fire (the workbook's red rows)
+    hasDataSourceInconsistency(technique) {
+        return technique.dataComponents.length > 0 &&
+            this.getDetectionRulesForTechnique(technique.id) > 0 &&
+            this.getAvailableDataComponents(technique) === 0;
+    }
+
+    // Dashboard rendering
+    renderDashboard() {
+        // Update MITRE version
+        const versionNumberElement = document.getElementById('mitreVersionNumber');
+        if (versionNumberElement) {
+            versionNumberElement.textContent = this.mitreVersionNumber;
+        }
+
+        const versionDetailsElement = document.getElementById('mitreVersionDetails');
+        if (versionDetailsElement) {
+            versionDetailsElement.textContent = this.attackDataError
+                ? 'ATT&CK data could not be loaded - see Settings'
+                : `${this.mitreVersionDetails}${this.attackDataOrigin && this.attackDataOrigin.type === 'cache' ? ' | Offline copy' : ''}`;
         }
 
         // Update statistics
-        document.getElementById('totalTechniques').textContent = this.techniques.length;
+        const applicableTechniques = this.getApplicableTechniques(this.techniques);
+        const excludedCount = this.techniques.length - applicableTechniques.length;
+        document.getElementById('totalTechniques').textContent = applicableTechniques.length;
+        document.getElementById('totalTechniquesLabel').textContent = excludedCount > 0
+            ? `Including Sub-techniques (${excludedCount} not applicable)`
+            : 'Including Sub-techniques';
         document.getElementById('totalDetections').textContent =
             this.detections.filter(d => d.isActive).length;
 
         // Calculate overall coverage
-        let totalCoverage = 0;
         let statusCounts = {
             detected: 0,
-            'not detected': 0
+            'partially detected': 0,
+            'not detected': 0,
+            'not applicable': 0
         };
 
+        const mode = this.settings.coverageMode;
         this.techniques.forEach(tech => {
-            const status = this.getTechniqueStatus(tech);
+            const status = this.getTechniqueStatus(tech, mode);
             statusCounts[status]++;
-            totalCoverage += this.calculateCoverage(tech);
         });
 
-        const overallCoveragePercent = ((totalCoverage / this.techniques.length) * 100).toFixed(1);
+        const overallCoveragePercent = this.getCoveragePercent(this.techniques, mode).toFixed(1);
         document.getElementById('overallCoverage').textContent = `${overallCoveragePercent}%`;
+        document.getElementById('overallCoverageLabel').textContent = `Overall ${this.coverageModes[mode]} Coverage`;
+        document.getElementById('dashboardCoverageMode').value = mode;
+        const statusLabels = this.getCoverageStatusLabels(mode);
+        document.getElementById('detectedLabel').textContent = statusLabels.detected;
+        document.getElementById('partialDetectionLabel').textContent = statusLabels['partially detected'];
+        document.getElementById('noDetectionLabel').textContent = statusLabels['not detected'];
 
         // Update status counts
         document.getElementById('detectedCount').textContent = statusCounts.detected;
+        document.getElementById('partialDetectionCount').textContent = statusCounts['partially detected'];
         document.getElementById('noDetectionCount').textContent = statusCounts['not detected'];
+        document.getElementById('inconsistentCount').textContent =
+            this.techniques.filter(tech => this.hasDataSourceInconsistency(tech)).length;
+
+        // Validation by test runs, next to the rule-based coverage
+        const validationCounts = { validated: 0, partial: 0, failed: 0, untested: 0 };
+        applicableTechniques.forEach(tech => {
+            const status = this.getValidationStatus(tech);
+            if (status !== 'untested' || this.calculateCoverage(tech) > 0) validationCounts[status]++;
+        });
+        document.getElementById('validatedTechniques').textContent = validationCounts.validated;
+        document.getElementById('validatedTechniquesLabel').textContent =
+            `${this.testRuns.length} test run${this.testRuns.length === 1 ? '' : 's'} recorded`;
+        document.getElementById('partialValidationCount').textContent = validationCounts.partial;
+        document.getElementById('failedValidationCount').textContent = validationCounts.failed;
+        document.getElementById('untestedCoverageCount').textContent = validationCounts.untested;
 
-        // Render spider chart
+        this.renderAttackUpgradeNotice();
+
+        // Render spider chart, trend chart and snapshots
+        this.renderSnapshotControls();
         this.renderSpiderChart();
+        this.renderTrendChart();
+    }
+
+    // Coverage snapshots
+    getCoverageSnapshotData() {
+        const round = value => Math.round(value * 10) / 10;
+        const tactics = {};
+        this.tactics.forEach(tactic => {
+            const tacticTechniques = this.techniques.filter(tech => tech.tactics.includes(tactic.shortName));
+            tactics[tactic.shortName] = { name: tactic.name, coverage: round(this.getCoveragePercent(tacticTechniques, 'detection')) };
+        });
+
+        const counts = { detected: 0, 'partially detected': 0, 'not detected': 0, 'not applicable': 0 };
+        this.techniques.forEach(tech => { counts[this.getTechniqueStatus(tech, 'detection')]++; });
+
+        return {
+            attackVersion: this.mitreVersionNumber,
+            overall: round(this.getCoveragePercent(this.techniques, 'detection')),
+            tactics,
+            counts,
+            activeRules: this.detections.filter(d => d.isActive).length
+        };
+    }
+
+    takeSnapshot() {
+        if (this.techniques.length === 0) return;
+
+        const label = prompt('Snapshot name (optional), e.g. "Q3 review"', '');
+        if (label === null) return;
+
+        this.coverageSnapshots.push({
+            id: `snap_${Date.now()}`,
+            takenAt: new Date().toISOString(),
+            type: 'manual',
+            label: label.trim(),
+            ...this.getCoverageSnapshotData()
+        });
+        this.saveUserData();
+        this.renderDashboard();
+    }
+
+    // Called on every save: records coverage when it changed, keeping one automatic snapshot per day
+    recordAutoSnapshot() {
+        if (this.techniques.length === 0) return;
+
+        const data = this.getCoverageSnapshotData();
+        const last = this.coverageSnapshots[this.coverageSnapshots.length - 1];
+        if (last && last.overall === data.overall && last.activeRules === data.activeRules &&
+            JSON.stringify(last.tactics) === JSON.stringify(data.tactics)) {
+            return;
+        }
+
+        const now = new Date().toISOString();
+        if (last && last.type === 'auto' && last.takenAt.split('T')[0] === now.split('T')[0]) {
+            Object.assign(last, data, { takenAt: now });
+        } else {
+            this.coverageSnapshots.push({ id: `snap_${Date.now()}`, takenAt: now, type: 'auto', label: '', ...data });
+        }
+    }
+
+    deleteSnapshot(snapshotId) {
+        if (!confirm('Delete this coverage snapshot?')) return;
+
+        this.coverageSnapshots = this.coverageSnapshots.filter(snapshot => snapshot.id !== snapshotId);
+        if (this.compareSnapshotId === snapshotId) {
+            this.compareSnapshotId = null;
+        }
+        // Not saveUserData(): that would record the current coverage again straight away
+        this.storageSet(this.getStorageKey('coverage_snapshots'), JSON.stringify(this.coverageSnapshots));
+        this.renderDashboard();
+    }
+
+    compareWithSnapshot(snapshotId) {
+        this.compareSnapshotId = snapshotId || null;
+        this.renderDashboard();
+    }
+
+    describeSnapshot(snapshot) {
+        const date = new Date(snapshot.takenAt).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+        return snapshot.label ? `${snapshot.label} (${date})` : date;
+    }
+
+    renderSnapshotControls() {
+        const compareSelect = document.getElementById('snapshotCompare');
+        const snapshots = [...this.coverageSnapshots].reverse();
+        compareSelect.innerHTML = '<option value="">Compare with snapshot...</option>' + snapshots.map(snapshot => `
+            <option value="${this.escapeHtml(snapshot.id)}" ${snapshot.id === this.compareSnapshotId ? 'selected' : ''}>
+                ${this.escapeHtml(this.describeSnapshot(snapshot))} - ${this.escapeHtml(snapshot.overall)}%
+            </option>
+        `).join('');
+        // Snapshots record detection coverage, so they are only compared in that mode
+        compareSelect.disabled = this.settings.coverageMode !== 'detection';
+
+        const trendSelect = document.getElementById('trendTactic');
+        const trendValue = trendSelect.value;
+        trendSelect.innerHTML = '<option value="">Overall trend</option>' + this.tactics.map(tactic =>
+            `<option value="${this.escapeHtml(tactic.shortName)}">${this.escapeHtml(tactic.name)}</option>`
+        ).join('');
+        trendSelect.value = this.tactics.some(tactic => tactic.shortName === trendValue) ? trendValue : '';
+
+        const compared = !compareSelect.disabled && this.coverageSnapshots.find(snapshot => snapshot.id === this.compareSnapshotId);
+        document.getElementById('chartLegend').innerHTML = compared
+            ? `<span class="legend-current">■ Current</span> <span class="legend-snapshot">■ ${this.escapeHtml(this.describeSnapshot(compared))}</span>`
+            : '';
+
+        const table = document.getElementById('snapshotsTable');
+        table.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Name</th>
+                        <th>Coverage</th>
+                        <th>Active Rules</th>
+                        <th>ATT&CK</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${snapshots.length === 0 ? '<tr><td colspan="6" class="empty-state">No snapshots yet</td></tr>' : ''}
+                    ${snapshots.map(snapshot => `
+                        <tr>
+                            <td>${new Date(snapshot.takenAt).toLocaleString()}</td>
+                            <td>${snapshot.label ? this.escapeHtml(snapshot.label) : '<span class="exclusion-note">automatic</span>'}</td>
+                            <td>${this.escapeHtml(snapshot.overall)}%</td>
+                            <td>${this.escapeHtml(snapshot.activeRules)}</td>
+                            <td>${this.escapeHtml(snapshot.attackVersion || '-')}</td>
+                            <td>
+                                <div class="action-buttons">
+                                    <button class="btn btn-secondary btn-small" data-action="compare-snapshot" data-id="${this.escapeHtml(snapshot.id)}">Compare</button>
+                                    <button class="action-btn btn-delete" data-action="delete-snapshot" data-id="${this.escapeHtml(snapshot.id)}" title="Delete">🗑️</button>
+                                </div>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    renderTrendChart() {
+        const canvas = document.getElementById('trendChart');
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const tacticFilter = document.getElementById('trendTactic').value;
+        const padding = { top: 30, right: 20, bottom: 50, left: 50 };
+        const width = canvas.width - padding.left - padding.right;
+        const height = canvas.height - padding.top - padding.bottom;
+
+        const points = this.coverageSnapshots
+            .map(snapshot => ({
+                time: new Date(snapshot.takenAt).getTime(),
+                value: tacticFilter
+                    ? (snapshot.tactics[tacticFilter] ? snapshot.tactics[tacticFilter].coverage : null)
+                    : snapshot.overall,
+                manual: snapshot.type === 'manual'
+            }))
+            .filter(point => point.value !== null);
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        // Title
+        const tactic = this.tactics.find(t => t.shortName === tacticFilter);
+        ctx.fillStyle = '#495057';
+        ctx.font = '600 13px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillText(`Coverage trend - ${tactic ? tactic.name : 'overall'}`, padding.left, 16);
+
+        // Horizontal grid lines
+        ctx.font = '10px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let percent = 0; percent <= 100; percent += 25) {
+            const y = padding.top + height - (percent / 100) * height;
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(padding.left + width, y);
+            ctx.strokeStyle = '#e9ecef';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+            ctx.fillStyle = '#6c757d';
+            ctx.fillText(`${percent}%`, padding.left - 8, y);
+        }
+
+        if (points.length === 0) {
+            ctx.fillStyle = '#6c757d';
+            ctx.font = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto';
+            ctx.textAlign = 'center';
+            ctx.fillText('No snapshots yet', padding.left + width / 2, padding.top + height / 2);
+            return;
+        }
+
+        const first = points[0].time;
+        const span = points[points.length - 1].time - first;
+        const xFor = time => padding.left + (span === 0 ? width / 2 : ((time - first) / span) * width);
+        const yFor = value => padding.top + height - (value / 100) * height;
+
+        // Date labels for the first and last snapshot
+        ctx.fillStyle = '#6c757d';
+        ctx.textBaseline = 'top';
+        const dateLabel = time => new Date(time).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+        ctx.textAlign = span === 0 ? 'center' : 'left';
+        ctx.fillText(dateLabel(first), xFor(first), padding.top + height + 10);
+        if (span > 0) {
+            ctx.textAlign = 'right';
+            ctx.fillText(dateLabel(points[points.length - 1].time), xFor(points[points.length - 1].time), padding.top + height + 10);
+        }
+
+        // Line
+        ctx.beginPath();
+        points.forEach((point, index) => {
+            if (index === 0) {
+                ctx.moveTo(xFor(point.time), yFor(point.value));
+            } else {
+                ctx.lineTo(xFor(point.time), yFor(point.value));
+            }
+        });
+        ctx.strokeStyle = '#0066cc';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // Points; named snapshots are highlighted
+        points.forEach(point => {
+            ctx.beginPath();
+            ctx.arc(xFor(point.time), yFor(point.value), point.manual ? 5 : 3, 0, 2 * Math.PI);
+            ctx.fillStyle = point.manual ? '#fd7e14' : '#0066cc';
+            ctx.fill();
+            ctx.strokeStyle = 'white';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        });
     }
 
-    renderSpiderChart() {
-        const canvas = document.getElementById('spiderChart');
+    // Also draws the chart for the coverage report, on its own canvas and limited to the report scope
+    renderSpiderChart(canvas = document.getElementById('spiderChart'), techniques = this.techniques, compareSnapshotId = this.compareSnapshotId,
+        mode = this.settings.coverageMode) {
         if (!canvas) return;
 
         const ctx = canvas.getContext('2d');
@@ -323,35 +2546,23 @@ class MITREAttackTracker {
         const radius = Math.min(centerX, centerY) - 80;
 
         // Calculate coverage per tactic (in kill chain order)
-        const killChainOrder = [
-            'reconnaissance', 'resource-development', 'initial-access', 'execution',
-            'persistence', 'privilege-escalation', 'defense-evasion', 'credential-access',
-            'discovery', 'lateral-movement', 'collection', 'command-and-control',
-            'exfiltration', 'impact'
-        ];
-
-        const tacticData = killChainOrder.map(shortName => {
-            const tactic = this.tactics.find(t => t.shortName === shortName);
-            if (!tactic) return null;
-
-            const tacticTechniques = this.techniques.filter(tech =>
-                tech.tactics.includes(shortName)
+        // Tactics are already in the column order of the matrix
+        const tacticData = this.tactics.map(tactic => {
+            const tacticTechniques = techniques.filter(tech =>
+                tech.tactics.includes(tactic.shortName)
             );
 
-            let totalCoverage = 0;
-            tacticTechniques.forEach(tech => {
-                totalCoverage += this.calculateCoverage(tech);
-            });
-
-            const coveragePercent = tacticTechniques.length > 0
-                ? (totalCoverage / tacticTechniques.length) * 100
-                : 0;
-
             return {
+                shortName: tactic.shortName,
                 name: tactic.name,
-                coverage: coveragePercent
+                coverage: this.getCoveragePercent(tacticTechniques, mode)
             };
-        }).filter(t => t !== null);
+        });
+
+        // Snapshots record detection coverage only
+        const compared = mode === 'detection'
+            ? this.coverageSnapshots.find(snapshot => snapshot.id === compareSnapshotId)
+            : null;
 
         // Clear canvas
         ctx.clearRect(0, 0, canvas.width, canvas.height);
@@ -400,6 +2611,32 @@ class MITREAttackTracker {
             }
         });
 
+        // Draw the compared snapshot underneath the current coverage
+        if (compared) {
+            ctx.beginPath();
+            tacticData.forEach((tactic, index) => {
+                const angle = index * angleStep - Math.PI / 2;
+                const past = compared.tactics[tactic.shortName];
+                const distance = ((past ? past.coverage : 0) / 100) * radius;
+                const x = centerX + distance * Math.cos(angle);
+                const y = centerY + distance * Math.sin(angle);
+
+                if (index === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.closePath();
+            ctx.fillStyle = 'rgba(253, 126, 20, 0.15)';
+            ctx.fill();
+            ctx.setLineDash([6, 4]);
+            ctx.strokeStyle = '#fd7e14';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
         // Draw coverage polygon
         ctx.beginPath();
         tacticData.forEach((tactic, index) => {
@@ -466,20 +2703,13 @@ class MITREAttackTracker {
             const tacticTechniques = this.techniques.filter(tech =>
                 tech.tactics.includes(tactic.shortName)
             );
-
-            let totalCoverage = 0;
-            tacticTechniques.forEach(tech => {
-                totalCoverage += this.calculateCoverage(tech);
-            });
-
-            const coveragePercent = tacticTechniques.length > 0
-                ? (totalCoverage / tacticTechniques.length) * 100
-                : 0;
+            const applicableCount = this.getApplicableTechniques(tacticTechniques).length;
 
             return {
                 name: tactic.name,
-                coverage: coveragePercent,
-                count: tacticTechniques.length
+                coverage: this.getCoveragePercent(tacticTechniques),
+                count: applicableCount,
+                excluded: tacticTechniques.length - applicableCount
             };
         });
 
@@ -490,12 +2720,12 @@ class MITREAttackTracker {
 
             return `
                 <div class="tactic-card" style="border-left-color: ${color}">
-                    <div class="tactic-card-name">${tactic.name}</div>
+                    <div class="tactic-card-name">${this.escapeHtml(tactic.name)}</div>
                     <div class="tactic-card-coverage" style="color: ${color}">
                         ${tactic.coverage.toFixed(1)}%
                     </div>
                     <div style="font-size: 0.85rem; color: #6c757d; margin-top: 0.25rem;">
-                        ${tactic.count} techniques
+                        ${tactic.count} techniques${tactic.excluded > 0 ? ` (${tactic.excluded} not applicable)` : ''}
                     </div>
                 </div>
             `;
@@ -507,50 +2737,99 @@ class MITREAttackTracker {
         const container = document.getElementById('coverageMatrix');
         if (!container) return;
 
-        // Kill chain order
-        const killChainOrder = [
-            'reconnaissance', 'resource-development', 'initial-access', 'execution',
-            'persistence', 'privilege-escalation', 'defense-evasion', 'credential-access',
-            'discovery', 'lateral-movement', 'collection', 'command-and-control',
-            'exfiltration', 'impact'
-        ];
-
-        // Group techniques by tactic in kill chain order
-        const tacticGroups = killChainOrder.map(shortName => {
-            const tactic = this.tactics.find(t => t.shortName === shortName);
-            if (!tactic) return null;
+        // Limit the matrix to techniques used by the selected threat groups and software
+        const threatFilter = document.getElementById('threatMatrixFilter');
+        const threatTechniques = this.threatMatrixFilter && this.selectedThreatActors.length > 0
+            ? this.getSelectedThreatTechniques()
+            : null;
+        threatFilter.checked = Boolean(threatTechniques);
+        threatFilter.disabled = this.selectedThreatActors.length === 0;
+        document.getElementById('threatMatrixFilterLabel').textContent = this.selectedThreatActors.length > 0
+            ? `Only techniques used by ${this.selectedThreatActors.length} selected threat${this.selectedThreatActors.length === 1 ? '' : 's'}`
+            : 'Only techniques used by selected threats';
+
+        // Side by side with the coverage of another workspace
+        const compareSelect = document.getElementById('compareWorkspace');
+        const otherWorkspaces = this.workspaces.filter(workspace => workspace.id !== this.settings.workspace);
+        if (!this.getWorkspace(this.compareWorkspaceId)) this.compareWorkspaceId = null;
+        compareSelect.innerHTML = '<option value="">Compare with workspace...</option>' + otherWorkspaces.map(workspace =>
+            `<option value="${this.escapeHtml(workspace.id)}">${this.escapeHtml(workspace.name)}</option>`
+        ).join('');
+        compareSelect.value = this.compareWorkspaceId || '';
+        compareSelect.disabled = otherWorkspaces.length === 0;
+        const compareCoverage = this.compareWorkspaceId ? this.getWorkspaceCoverage(this.compareWorkspaceId) : null;
+        const compareName = compareCoverage ? this.getWorkspace(this.compareWorkspaceId).name : '';
+        const comparePercent = (techniques) => {
+            const values = techniques.map(tech => compareCoverage[tech.id]).filter(value => value !== null && value !== undefined);
+            return values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : 0;
+        };
 
+        const mode = this.settings.coverageMode;
+        document.getElementById('matrixCoverageMode').value = mode;
+        document.getElementById('coverageSubtitle').textContent = {
+            detection: 'Detection coverage across tactics in kill chain order',
+            mitigation: 'Mitigation coverage across tactics in kill chain order',
+            combined: 'Defense in depth: detection and mitigation coverage across tactics in kill chain order'
+        }[mode];
+
+        // Platform and coverage filters, and cell colors by coverage or by number of rules
+        const platformSelect = document.getElementById('matrixPlatformFilter');
+        const platforms = this.getAllPlatforms();
+        const platform = platforms.includes(platformSelect.value) ? platformSelect.value : '';
+        platformSelect.innerHTML = '<option value="">All Platforms</option>' + platforms.map(name =>
+            `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`
+        ).join('');
+        platformSelect.value = platform;
+
+        const statusSelect = document.getElementById('matrixStatusFilter');
+        const status = statusSelect.value;
+        const statusLabels = { ...this.getCoverageStatusLabels(mode), 'not applicable': 'Not Applicable' };
+        statusSelect.innerHTML = '<option value="">All Coverage</option>' + Object.entries(statusLabels).map(([value, label]) =>
+            `<option value="${value}">${label}</option>`
+        ).join('');
+        statusSelect.value = status;
+
+        const heatmap = document.getElementById('matrixColorBy').value === 'rules';
+        const inPlatform = tech => !platform || tech.platforms.includes(platform);
+
+        // Group techniques by tactic in the column order of the matrix
+        const tacticGroups = this.tactics.map(tactic => {
             const techniques = this.techniques.filter(tech =>
-                tech.tactics.includes(shortName) && !tech.isSubTechnique
+                tech.tactics.includes(tactic.shortName) && !tech.isSubTechnique &&
+                (!threatTechniques || this.isUsedByThreats(tech, threatTechniques)) &&
+                inPlatform(tech) && (!status || this.getTechniqueStatus(tech, mode) === status)
             );
 
             return {
                 tactic: tactic,
                 techniques: techniques
             };
-        }).filter(g => g !== null);
+        });
 
         // Calculate max techniques for table height
         const maxTechniques = Math.max(...tacticGroups.map(g => g.techniques.length), 1);
+        const maxRules = Math.max(1, ...tacticGroups.flatMap(group => group.techniques.map(tech => this.getMatrixRules(tech).length)));
+        this.matrixSelection.forEach(id => {
+            if (!this.techniquesById[id]) this.matrixSelection.delete(id);
+        });
 
         let html = '<table class="matrix-table"><thead><tr>';
 
         // Header row with tactic names
         tacticGroups.forEach(group => {
-            const tacticTechniques = group.techniques;
-            let totalCoverage = 0;
-            tacticTechniques.forEach(tech => {
-                totalCoverage += this.calculateCoverage(tech);
-            });
-            const coveragePercent = tacticTechniques.length > 0
-                ? ((totalCoverage / tacticTechniques.length) * 100).toFixed(0)
-                : 0;
+            const tacticTechniques = this.getApplicableTechniques(group.techniques);
+            const coveragePercent = this.getCoveragePercent(group.techniques, mode).toFixed(0);
 
             html += `<th>
-                <div style="font-weight: 600; margin-bottom: 0.25rem;">${group.tactic.name}</div>
+                <div style="font-weight: 600; margin-bottom: 0.25rem;">${this.escapeHtml(group.tactic.name)}</div>
                 <div style="font-size: 0.75rem; font-weight: normal; color: #6c757d;">
                     ${coveragePercent}% (${tacticTechniques.length} techniques)
                 </div>
+                ${compareCoverage ? `
+                    <div class="workspace-compare-header" title="Coverage in ${this.escapeHtml(compareName)}">
+                        ${this.escapeHtml(compareName)}: ${comparePercent(group.techniques).toFixed(0)}%
+                    </div>
+                ` : ''}
             </th>`;
         });
 
@@ -563,16 +2842,30 @@ class MITREAttackTracker {
             tacticGroups.forEach(group => {
                 if (i < group.techniques.length) {
                     const tech = group.techniques[i];
-                    const coverage = this.calculateCoverage(tech) * 100;
-                    const status = this.getTechniqueStatus(tech);
-                    const coverageClass = status === 'detected' ? 'coverage-high' : 'coverage-none';
+                    const detectionCoverage = this.calculateCoverage(tech) * 100;
+                    const coverage = this.getTechniqueCoverage(tech, mode) * 100;
+                    const excluded = this.isTechniqueExcluded(tech);
+                    const rules = this.getMatrixRules(tech);
+                    const coverageClass = excluded ? 'coverage-excluded' : (heatmap ? 'coverage-none' : this.getCoverageClass(coverage));
+                    const heatStyle = heatmap && !excluded ? this.getHeatmapStyle(rules.length, maxRules) : '';
+                    const overlay = this.getLayerOverlay(tech, group.tactic.shortName);
+                    const exclusionTitle = excluded ? `\n\nNot applicable: ${this.escapeHtml(this.getExclusionReason(tech))}` : '';
+                    const modeTitle = mode !== 'detection' && !excluded
+                        ? `\n\nDetection: ${detectionCoverage.toFixed(0)}% | Mitigation: ${(this.calculateMitigationCoverage(tech) * 100).toFixed(0)}%`
+                        : '';
+                    const selectedClass = this.matrixSelection.has(tech.id) ? 'matrix-selected' : '';
 
                     html += `
-                        <td class="coverage-cell ${coverageClass}" title="${tech.name}">
-                            <a href="${tech.url}" target="_blank" class="technique-id">${tech.id}</a>
+                        <td class="coverage-cell ${coverageClass} ${overlay.className} ${selectedClass}" style="${heatStyle}${overlay.style}"
+                            title="${this.escapeHtml(tech.name)}${exclusionTitle}${modeTitle}${this.getMatrixRulesTitle(rules)}${overlay.title}"
+                            data-action="matrix-cell" data-id="${this.escapeHtml(tech.id)}">
+                            <a href="${this.safeUrl(tech.url)}" class="technique-id" data-action="matrix-cell" data-id="${this.escapeHtml(tech.id)}">${this.escapeHtml(tech.id)}</a>
+                            ${this.renderValidationMarker(tech, detectionCoverage)}
                             <div style="font-size: 0.7rem; margin-top: 0.25rem; color: inherit; font-weight: normal; max-width: 120px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
-                                ${tech.name}
+                                ${this.escapeHtml(tech.name)}
                             </div>
+                            ${compareCoverage ? this.renderWorkspaceCompareCell(detectionCoverage, excluded ? null : compareCoverage[tech.id], compareName) : ''}
+                            ${this.renderSubTechniqueCell(tech, coverage, inPlatform)}
                         </td>
                     `;
                 } else {
@@ -586,10 +2879,254 @@ class MITREAttackTracker {
         html += '</tbody></table>';
         container.innerHTML = html;
 
-        // Also render tactic coverage cards for the coverage view
+        this.renderLayerOverlayBar();
+        this.renderWorkspaceCompareSummary(compareCoverage, compareName);
+        this.renderMatrixSelectionBar();
+
+        const heatmapLegend = document.getElementById('matrixHeatmapLegend');
+        heatmapLegend.classList.toggle('hidden', !heatmap);
+        heatmapLegend.innerHTML = heatmap
+            ? 'Active rules:' + [...new Set([0, 1, Math.ceil(maxRules / 2), maxRules])].map(count =>
+                `<span class="heatmap-swatch coverage-none" style="${this.getHeatmapStyle(count, maxRules)}">${count}</span>`
+            ).join('')
+            : '';
+
+        // Also render tactic coverage cards for the coverage view
         this.renderTacticCoverage();
     }
 
+    // This workspace on the left, the compared one on the right
+    renderWorkspaceCompareCell(coverage, otherCoverage, otherName) {
+        const other = otherCoverage === null || otherCoverage === undefined
+            ? { className: 'coverage-excluded', label: 'n/a' }
+            : { className: this.getCoverageClass(otherCoverage), label: `${otherCoverage.toFixed(0)}%` };
+        const current = this.getWorkspace().name;
+
+        return `
+            <div class="workspace-compare" title="${this.escapeHtml(current)}: ${coverage.toFixed(0)}% | ${this.escapeHtml(otherName)}: ${other.label}">
+                <span class="workspace-compare-chip ${this.getCoverageClass(coverage)}">${coverage.toFixed(0)}%</span>
+                <span class="workspace-compare-chip ${other.className}">${other.label}</span>
+            </div>
+        `;
+    }
+
+    renderWorkspaceCompareSummary(compareCoverage, compareName) {
+        const summary = document.getElementById('workspaceCompareSummary');
+        summary.classList.toggle('hidden', !compareCoverage);
+        if (!compareCoverage) return;
+
+        const applicable = this.getApplicableTechniques(this.techniques)
+            .filter(tech => compareCoverage[tech.id] !== null && compareCoverage[tech.id] !== undefined);
+        const better = applicable.filter(tech => this.calculateCoverage(tech) * 100 > compareCoverage[tech.id] + 0.5).length;
+        const worse = applicable.filter(tech => this.calculateCoverage(tech) * 100 < compareCoverage[tech.id] - 0.5).length;
+        const otherOverall = this.techniques.map(tech => compareCoverage[tech.id]).filter(value => value !== null);
+        const otherPercent = otherOverall.length > 0 ? otherOverall.reduce((total, value) => total + value, 0) / otherOverall.length : 0;
+
+        summary.innerHTML = `
+            Left: <strong>${this.escapeHtml(this.getWorkspace().name)}</strong> ${this.getCoveragePercent(this.techniques, 'detection').toFixed(1)}% overall
+            &middot; Right: <strong>${this.escapeHtml(compareName)}</strong> ${otherPercent.toFixed(1)}% overall
+            &middot; ${better} techniques covered better here, ${worse} better in ${this.escapeHtml(compareName)}
+            (scored against ATT&CK ${this.escapeHtml(this.mitreVersionNumber)})
+        `;
+    }
+
+    // Active rules on a technique or its sub-techniques
+    getMatrixRules(technique) {
+        const ids = [technique.id, ...this.getSubTechniques(technique.id).map(sub => sub.id)];
+        return this.detections.filter(det => det.isActive && det.techniques.some(id => ids.includes(id)));
+    }
+
+    getMatrixRulesTitle(rules) {
+        if (rules.length === 0) return '\n\nNo active detection rules';
+
+        const names = rules.slice(0, 10).map(det => `\n• ${this.escapeHtml(det.name)}`).join('');
+        return `\n\n${rules.length} active rule${rules.length === 1 ? '' : 's'}:${names}${rules.length > 10 ? `\n… and ${rules.length - 10} more` : ''}`;
+    }
+
+    getHeatmapStyle(count, maxCount) {
+        if (count <= 0) return '';
+
+        const alpha = 0.15 + 0.75 * Math.min(count / maxCount, 1);
+        return `background: rgba(0, 102, 255, ${alpha.toFixed(2)}); color: ${alpha > 0.5 ? '#ffffff' : '#1e3a8a'};`;
+    }
+
+    // Ctrl/Cmd/Shift+click starts a selection; while there is one, every click adds or removes a technique
+    onMatrixCellClick(event, techniqueId) {
+        if (event.ctrlKey || event.metaKey || event.shiftKey || this.matrixSelection.size > 0) {
+            if (this.matrixSelection.has(techniqueId)) {
+                this.matrixSelection.delete(techniqueId);
+            } else {
+                this.matrixSelection.add(techniqueId);
+            }
+            this.renderCoverageView();
+        } else {
+            this.showTechniqueDetails(techniqueId);
+        }
+    }
+
+    clearMatrixSelection() {
+        this.matrixSelection.clear();
+        this.renderCoverageView();
+    }
+
+    renderMatrixSelectionBar() {
+        const bar = document.getElementById('matrixSelectionBar');
+        bar.classList.toggle('hidden', this.matrixSelection.size === 0);
+        if (this.matrixSelection.size === 0) {
+            bar.innerHTML = '';
+            return;
+        }
+
+        const ids = [...this.matrixSelection].sort();
+        const rules = [...this.detections].sort((a, b) => a.name.localeCompare(b.name));
+        bar.innerHTML = `
+            <strong>${ids.length} technique${ids.length === 1 ? '' : 's'} selected</strong>
+            <span class="matrix-selection-ids" title="${this.escapeHtml(ids.join(', '))}">${this.escapeHtml(ids.join(', '))}</span>
+            <button class="btn btn-primary btn-small" data-action="create-rule-from-selection">New Rule</button>
+            <select id="matrixAttachRule" class="filter-select">
+                <option value="">Attach to rule...</option>
+                ${rules.map(det => `<option value="${this.escapeHtml(det.id)}">${this.escapeHtml(det.name)}</option>`).join('')}
+            </select>
+            <button class="btn btn-secondary btn-small" data-action="attach-selection" ${rules.length === 0 ? 'disabled' : ''}>Attach</button>
+            <button class="btn btn-secondary btn-small" data-action="clear-selection">Clear</button>
+        `;
+    }
+
+    createRuleFromSelection() {
+        this.editingDetectionId = null;
+        this.openDetectionModal();
+        this.editingTechniques = [...this.matrixSelection].sort();
+        this.creatingFromSelection = true;
+        this.renderTechniqueTags();
+    }
+
+    attachSelectionToRule() {
+        const detection = this.detections.find(det => det.id === document.getElementById('matrixAttachRule').value);
+        if (!detection) {
+            alert('Choose the detection rule to attach the selected techniques to.');
+            return;
+        }
+
+        const added = [...this.matrixSelection].sort().filter(id => !detection.techniques.includes(id));
+        if (added.length === 0) {
+            alert(`"${detection.name}" is already mapped to every selected technique.`);
+            return;
+        }
+
+        this.trackDetectionChanges('edit', `Mapped ${added.join(', ')} to "${detection.name}"`, () => {
+            const index = this.detections.indexOf(detection);
+            this.detections[index] = { ...detection, techniques: [...detection.techniques, ...added], updatedAt: new Date().toISOString() };
+        });
+        this.matrixSelection.clear();
+        this.saveUserData();
+        this.renderCurrentView();
+    }
+
+    getCoverageClass(coverage) {
+        const classes = { high: 'coverage-high', partial: 'coverage-medium', low: 'coverage-low', none: 'coverage-none' };
+        return classes[this.getCoverageLevel(coverage)];
+    }
+
+    renderSubTechniqueCell(technique, coverage, inPlatform = () => true) {
+        const subTechniques = this.getSubTechniques(technique.id).filter(inPlatform);
+        if (subTechniques.length === 0) return '';
+
+        const applicable = this.getApplicableSubTechniques(technique.id);
+        const detected = applicable.filter(sub => this.getTechniqueCoverage(sub) > 0).length;
+        const covered = { detection: 'detected', mitigation: 'mitigated', combined: 'covered' }[this.settings.coverageMode];
+        const expanded = this.expandedTechniques.has(technique.id);
+        const modifier = this.getDetectionRulesModifier(technique.id);
+        const direct = this.getDetectionRulesForTechnique(technique.id);
+
+        let html = `
+            <button class="subtechnique-toggle" data-action="toggle-expanded" data-id="${this.escapeHtml(technique.id)}"
+                title="${detected} of ${applicable.length} applicable sub-techniques ${covered}${direct ? `, ${direct} rule(s) on the technique itself` : ''}${modifier ? `, modifier ${modifier}` : ''}">
+                ${expanded ? '▾' : '▸'} ${detected}/${applicable.length} · ${coverage.toFixed(0)}%
+            </button>
+        `;
+
+        if (expanded) {
+            html += '<ul class="subtechnique-list">';
+            subTechniques.forEach(sub => {
+                const subCoverage = this.getTechniqueCoverage(sub) * 100;
+                const subClass = this.isTechniqueExcluded(sub) ? 'coverage-excluded' : this.getCoverageClass(subCoverage);
+                html += `
+                    <li class="subtechnique-item ${subClass} ${this.matrixSelection.has(sub.id) ? 'matrix-selected' : ''}"
+                        title="${this.escapeHtml(sub.name)}${this.getMatrixRulesTitle(this.getMatrixRules(sub))}" data-action="matrix-cell" data-id="${this.escapeHtml(sub.id)}">
+                        <a href="${this.safeUrl(sub.url)}" class="technique-id" data-action="matrix-cell" data-id="${this.escapeHtml(sub.id)}">${this.escapeHtml(sub.id.substring(technique.id.length))}</a>
+                        <span>${this.escapeHtml(sub.name)}</span>
+                        ${this.renderValidationMarker(sub, this.calculateCoverage(sub) * 100)}
+                    </li>
+                `;
+            });
+            html += '</ul>';
+        }
+
+        return html;
+    }
+
+    // Layer entries for a technique (and its sub-techniques) that apply under a tactic
+    getLayerEntries(technique, tacticShortName) {
+        if (!this.navigatorLayer) return [];
+
+        return this.navigatorLayer.techniques.filter(entry =>
+            (entry.techniqueID === technique.id ||
+             (!technique.isSubTechnique && entry.techniqueID.startsWith(`${technique.id}.`))) &&
+            (!entry.tactic || entry.tactic === tacticShortName)
+        );
+    }
+
+    getLayerOverlay(technique, tacticShortName) {
+        const overlay = { className: '', style: '', title: '' };
+        if (!this.navigatorLayer) return overlay;
+
+        const entries = this.getLayerEntries(technique, tacticShortName);
+        const inLayer = entries.length > 0;
+
+        if (this.navigatorLayer.mode === 'threat') {
+            if (!inLayer) {
+                overlay.className = 'layer-outside';
+            } else if (this.getTechniqueStatus(technique, 'detection') !== 'detected') {
+                overlay.className = 'layer-threat-gap';
+            }
+        } else if (inLayer) {
+            const direct = entries.find(entry => entry.techniqueID === technique.id) || entries[0];
+            overlay.className = 'layer-marked';
+            // Layer colors come from an imported file, so only plain hex values reach the style attribute
+            const color = /^#[0-9a-f]{3,8}$/i.test(direct.color || '') ? direct.color : 'var(--info-color)';
+            overlay.style = `box-shadow: inset 0 -5px 0 ${color};`;
+        }
+
+        if (inLayer) {
+            overlay.title = '\n\n' + this.escapeHtml(entries.map(entry => {
+                const score = entry.score !== null ? ` score ${entry.score}` : '';
+                return `${this.navigatorLayer.name}: ${entry.techniqueID}${score}${entry.comment ? ` - ${entry.comment}` : ''}`;
+            }).join('\n'));
+        }
+
+        return overlay;
+    }
+
+    renderLayerOverlayBar() {
+        const bar = document.getElementById('layerOverlayBar');
+        if (!bar) return;
+
+        bar.classList.toggle('hidden', !this.navigatorLayer);
+        if (!this.navigatorLayer) return;
+
+        document.getElementById('layerMode').value = this.navigatorLayer.mode;
+
+        // Threat coverage is counted on the techniques the layer lists, not their parents
+        const layerIds = [...new Set(this.navigatorLayer.techniques.map(entry => entry.techniqueID))];
+        const known = layerIds.map(id => this.techniques.find(t => t.id === id)).filter(Boolean);
+        const detected = known.filter(tech => this.getTechniqueStatus(tech, 'detection') === 'detected').length;
+
+        document.getElementById('layerOverlayName').textContent = this.navigatorLayer.name;
+        document.getElementById('layerOverlaySummary').textContent =
+            `${detected} of ${known.length} layer techniques detected` +
+            (layerIds.length > known.length ? ` (${layerIds.length - known.length} not in the loaded framework)` : '');
+    }
+
     // Techniques View
     renderTechniquesView() {
         const container = document.getElementById('techniquesTable');
@@ -606,27 +3143,7 @@ class MITREAttackTracker {
             });
         }
 
-        // Apply filters
-        const searchTerm = document.getElementById('techniqueSearch')?.value.toLowerCase() || '';
-        const tacticFilterValue = document.getElementById('tacticFilter')?.value || '';
-        const statusFilterValue = document.getElementById('statusFilter')?.value || '';
-
-        let filteredTechniques = this.techniques.filter(tech => {
-            // Search filter
-            const matchesSearch = !searchTerm ||
-                tech.id.toLowerCase().includes(searchTerm) ||
-                tech.name.toLowerCase().includes(searchTerm);
-
-            // Tactic filter
-            const matchesTactic = !tacticFilterValue ||
-                tech.tactics.includes(tacticFilterValue);
-
-            // Status filter
-            const status = this.getTechniqueStatus(tech);
-            const matchesStatus = !statusFilterValue || status === statusFilterValue;
-
-            return matchesSearch && matchesTactic && matchesStatus;
-        });
+        const filteredTechniques = this.getFilteredTechniques();
 
         // Render table
         let html = `
@@ -637,41 +3154,67 @@ class MITREAttackTracker {
                         <th>Name</th>
                         <th>Tactics</th>
                         <th>Detection Rules</th>
+                        <th title="Detection rules modifier: extra rules expected for this technique">Modifier</th>
+                        <th>Data Sources</th>
                         <th>Coverage</th>
                         <th>Status</th>
+                        <th>Applicable</th>
                     </tr>
                 </thead>
                 <tbody>
         `;
 
         if (filteredTechniques.length === 0) {
-            html += '<tr><td colspan="6" class="empty-state">No techniques found</td></tr>';
+            html += '<tr><td colspan="9" class="empty-state">No techniques found</td></tr>';
         } else {
             filteredTechniques.forEach(tech => {
-                const status = this.getTechniqueStatus(tech);
+                const status = this.getTechniqueStatus(tech, 'detection');
                 const coverage = (this.calculateCoverage(tech) * 100).toFixed(0);
                 const detectionCount = this.getDetectionRulesForTechnique(tech.id);
+                const subTechniqueRules = this.getSubTechniqueDetectionRules(tech.id);
+                const inconsistent = this.hasDataSourceInconsistency(tech);
+                const exclusionReason = this.getExclusionReason(tech);
 
                 html += `
-                    <tr>
+                    <tr class="${inconsistent ? 'row-inconsistent' : ''} ${exclusionReason ? 'row-excluded' : ''}">
+                        <td>
+                            <a href="${this.safeUrl(tech.url)}" class="technique-id" data-action="show-technique" data-id="${this.escapeHtml(tech.id)}">${this.escapeHtml(tech.id)}</a>
+                        </td>
+                        <td>${this.escapeHtml(tech.name)}</td>
+                        <td>${this.escapeHtml(tech.tactics.join(', '))}</td>
+                        <td>
+                            ${detectionCount}
+                            ${subTechniqueRules ? `<span class="rule-rollup">(+${subTechniqueRules} in sub-techniques)</span>` : ''}
+                        </td>
                         <td>
-                            <a href="${tech.url}" target="_blank" class="technique-id">${tech.id}</a>
+                            <input type="number" min="0" class="modifier-input" value="${this.getDetectionRulesModifier(tech.id)}"
+                                data-action="set-modifier" data-id="${this.escapeHtml(tech.id)}">
+                            ${this.needsModifierIncrease(tech) ? '<span class="modifier-warning" title="This technique has sub-techniques and is detected directly: increase the modifier to count those rules">⚠</span>' : ''}
+                        </td>
+                        <td title="Data components available / required">
+                            ${this.getAvailableDataComponents(tech)} / ${tech.dataComponents.length}
                         </td>
-                        <td>${tech.name}</td>
-                        <td>${tech.tactics.join(', ')}</td>
-                        <td>${detectionCount}</td>
                         <td>
                             <div style="display: flex; align-items: center; gap: 0.5rem;">
                                 <div style="flex: 1; background: #e9ecef; height: 8px; border-radius: 4px; overflow: hidden;">
-                                    <div style="width: ${coverage}%; height: 100%; background: ${
-                                        coverage >= 75 ? '#28a745' :
-                                        coverage >= 25 ? '#ffc107' : '#dc3545'
-                                    };"></div>
+                                    <div style="width: ${coverage}%; height: 100%; background: ${this.getCoverageColor(coverage)};"></div>
                                 </div>
                                 <span style="min-width: 40px;">${coverage}%</span>
                             </div>
                         </td>
-                        <td><span class="status-badge status-${status.replace(' ', '-')}">${status}</span></td>
+                        <td>
+                            <span class="status-badge status-${status.replace(' ', '-')}">${status}</span>
+                            ${inconsistent ? '<span class="status-badge status-inconsistent" title="Active detection rule but none of the required data components are available">no telemetry</span>' : ''}
+                        </td>
+                        <td>
+                            <label class="toggle-switch" title="${exclusionReason ? this.escapeHtml(exclusionReason) : 'Applicable'}">
+                                <input type="checkbox" ${exclusionReason ? '' : 'checked'}
+                                    ${exclusionReason && !this.techniqueExclusions[tech.id] ? 'disabled' : ''}
+                                    data-action="toggle-excluded" data-id="${this.escapeHtml(tech.id)}">
+                                <span class="toggle-slider"></span>
+                            </label>
+                            ${exclusionReason ? `<div class="exclusion-note">${this.escapeHtml(exclusionReason)}</div>` : ''}
+                        </td>
                     </tr>
                 `;
             });
@@ -681,63 +3224,200 @@ class MITREAttackTracker {
         container.innerHTML = html;
     }
 
-    // Detections View
-    renderDetectionsView() {
-        const container = document.getElementById('detectionsTable');
-        if (!container) return;
+    // Techniques matching the search and filters of the Techniques view
+    getFilteredTechniques() {
+        const searchTerm = document.getElementById('techniqueSearch')?.value.toLowerCase() || '';
+        const tacticFilterValue = document.getElementById('tacticFilter')?.value || '';
+        const statusFilterValue = document.getElementById('statusFilter')?.value || '';
 
-        // Populate technique datalist
-        const datalist = document.getElementById('techniquesList');
-        if (datalist && datalist.options.length === 0) {
-            this.techniques.forEach(tech => {
-                const option = document.createElement('option');
-                option.value = tech.id;
-                option.textContent = `${tech.id} - ${tech.name}`;
-                datalist.appendChild(option);
+        return this.techniques.filter(tech => {
+            // Search filter
+            const matchesSearch = !searchTerm ||
+                tech.id.toLowerCase().includes(searchTerm) ||
+                tech.name.toLowerCase().includes(searchTerm);
+
+            // Tactic filter
+            const matchesTactic = !tacticFilterValue ||
+                tech.tactics.includes(tacticFilterValue);
+
+            // Status filter
+            const status = this.getTechniqueStatus(tech, 'detection');
+            const matchesStatus = !statusFilterValue || status === statusFilterValue ||
+                (statusFilterValue === 'inconsistent' && this.hasDataSourceInconsistency(tech));
+
+            return matchesSearch && matchesTactic && matchesStatus;
+        });
+    }
+
+    // Threat Groups & Software View
+    getSelectedThreats() {
+        return this.selectedThreatActors.map(id => this.threatActorsById[id]).filter(Boolean);
+    }
+
+    // Technique ID -> number of selected threats using it
+    getSelectedThreatTechniques() {
+        const counts = {};
+        this.getSelectedThreats().forEach(actor => {
+            actor.techniques.forEach(id => { counts[id] = (counts[id] || 0) + 1; });
+        });
+        return counts;
+    }
+
+    // A parent technique counts as used when any of its sub-techniques is
+    isUsedByThreats(technique, threatTechniques) {
+        return Boolean(threatTechniques[technique.id]) ||
+            (!technique.isSubTechnique && this.getSubTechniques(technique.id).some(sub => threatTechniques[sub.id]));
+    }
+
+    toggleThreatActor(actorId) {
+        if (this.selectedThreatActors.includes(actorId)) {
+            this.selectedThreatActors = this.selectedThreatActors.filter(id => id !== actorId);
+        } else {
+            this.selectedThreatActors.push(actorId);
+        }
+        this.saveUserData();
+        this.renderThreatsView();
+    }
+
+    renderThreatsView() {
+        const listContainer = document.getElementById('threatList');
+        if (!listContainer) return;
+
+        const searchTerm = document.getElementById('threatSearch')?.value.toLowerCase() || '';
+        const typeFilter = document.getElementById('threatTypeFilter')?.value || '';
+        const typeLabels = { group: 'Group', malware: 'Malware', tool: 'Tool' };
+
+        const actors = this.threatActors.filter(actor =>
+            (!typeFilter || actor.type === typeFilter) &&
+            (!searchTerm ||
+                actor.id.toLowerCase().includes(searchTerm) ||
+                actor.name.toLowerCase().includes(searchTerm) ||
+                actor.aliases.some(alias => alias.toLowerCase().includes(searchTerm)))
+        );
+
+        listContainer.innerHTML = actors.length === 0
+            ? '<div class="empty-state">No threat groups or software found</div>'
+            : actors.map(actor => `
+                <label class="threat-option ${this.selectedThreatActors.includes(actor.id) ? 'selected' : ''}">
+                    <input type="checkbox" ${this.selectedThreatActors.includes(actor.id) ? 'checked' : ''}
+                        data-action="toggle-threat" data-id="${this.escapeHtml(actor.id)}">
+                    <span class="threat-option-name">
+                        <strong>${this.escapeHtml(actor.name)}</strong>
+                        <span class="threat-option-meta">${this.escapeHtml(actor.id)} · ${typeLabels[actor.type]} · ${actor.techniques.length} techniques</span>
+                        ${actor.aliases.length > 0 ? `<span class="threat-option-meta">${this.escapeHtml(actor.aliases.join(', '))}</span>` : ''}
+                    </span>
+                </label>
+            `).join('');
+
+        this.renderThreatSummary();
+        this.renderThreatGaps();
+    }
+
+    renderThreatSummary() {
+        const container = document.getElementById('threatSummary');
+        const selected = this.getSelectedThreats();
+        const typeLabels = { group: 'Group', malware: 'Malware', tool: 'Tool' };
+
+        if (selected.length === 0) {
+            container.innerHTML = '<div class="empty-state">Select threat groups or software to score your coverage against the techniques they use.</div>';
+            return;
+        }
+
+        const cards = selected.map(actor => {
+            const techniques = actor.techniques.map(id => this.techniquesById[id]).filter(Boolean);
+            return {
+                name: actor.name,
+                meta: `${actor.id} · ${typeLabels[actor.type]}`,
+                url: actor.url,
+                coverage: this.getCoveragePercent(techniques, 'detection'),
+                count: this.getApplicableTechniques(techniques).length
+            };
+        });
+
+        const allTechniques = Object.keys(this.getSelectedThreatTechniques()).map(id => this.techniquesById[id]).filter(Boolean);
+        if (selected.length > 1) {
+            cards.unshift({
+                name: 'All selected',
+                meta: `${selected.length} threats`,
+                url: '',
+                coverage: this.getCoveragePercent(allTechniques, 'detection'),
+                count: this.getApplicableTechniques(allTechniques).length
             });
         }
 
+        container.innerHTML = cards.map(card => {
+            const color = card.coverage >= 75 ? '#28a745' :
+                         card.coverage >= 50 ? '#ffc107' :
+                         card.coverage >= 25 ? '#fd7e14' : '#dc3545';
+
+            return `
+                <div class="tactic-card" style="border-left-color: ${color}">
+                    <div class="tactic-card-name">
+                        ${card.url ? `<a href="${this.safeUrl(card.url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(card.name)}</a>` : this.escapeHtml(card.name)}
+                    </div>
+                    <div class="tactic-card-coverage" style="color: ${color}">
+                        ${card.coverage.toFixed(1)}%
+                    </div>
+                    <div style="font-size: 0.85rem; color: #6c757d; margin-top: 0.25rem;">
+                        ${this.escapeHtml(card.meta)} · ${card.count} techniques
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Uncovered techniques ranked by how many selected threats use them
+    renderThreatGaps() {
+        const container = document.getElementById('threatGaps');
+        const counts = this.getSelectedThreatTechniques();
+        const selected = this.getSelectedThreats();
+
+        const gaps = Object.keys(counts)
+            .map(id => this.techniquesById[id])
+            .filter(tech => tech && !this.isTechniqueExcluded(tech) && this.calculateCoverage(tech) < 1)
+            .map(tech => ({
+                tech,
+                count: counts[tech.id],
+                coverage: this.calculateCoverage(tech) * 100,
+                usedBy: selected.filter(actor => actor.techniques.includes(tech.id)).map(actor => actor.name)
+            }))
+            .sort((a, b) => b.count - a.count || a.coverage - b.coverage || a.tech.id.localeCompare(b.tech.id));
+
         let html = `
             <table class="data-table">
                 <thead>
                     <tr>
+                        <th>ID</th>
                         <th>Name</th>
-                        <th>Platform</th>
-                        <th>Severity</th>
-                        <th>Technique 1</th>
-                        <th>Technique 2</th>
-                        <th>Technique 3</th>
-                        <th>Active</th>
+                        <th>Tactics</th>
+                        <th>Used By</th>
+                        <th>Coverage</th>
+                        <th>Status</th>
                         <th>Actions</th>
                     </tr>
                 </thead>
                 <tbody>
         `;
 
-        if (this.detections.length === 0) {
-            html += '<tr><td colspan="8" class="empty-state">No detection rules yet. Click "Add Detection Rule" to get started.</td></tr>';
+        if (gaps.length === 0) {
+            html += `<tr><td colspan="7" class="empty-state">${selected.length === 0
+                ? 'No threats selected'
+                : 'Every technique used by the selected threats is covered or not applicable'}</td></tr>`;
         } else {
-            this.detections.forEach(det => {
+            gaps.forEach(gap => {
+                const status = this.getTechniqueStatus(gap.tech, 'detection');
                 html += `
                     <tr>
-                        <td><strong>${det.name}</strong></td>
-                        <td>${det.platform || '-'}</td>
-                        <td>${det.severity || '-'}</td>
-                        <td>${det.technique1 ? `<a href="${this.getTechniqueUrl(det.technique1)}" target="_blank" class="technique-id">${det.technique1}</a>` : '-'}</td>
-                        <td>${det.technique2 ? `<a href="${this.getTechniqueUrl(det.technique2)}" target="_blank" class="technique-id">${det.technique2}</a>` : '-'}</td>
-                        <td>${det.technique3 ? `<a href="${this.getTechniqueUrl(det.technique3)}" target="_blank" class="technique-id">${det.technique3}</a>` : '-'}</td>
-                        <td>
-                            <label class="toggle-switch">
-                                <input type="checkbox" ${det.isActive ? 'checked' : ''}
-                                    onchange="app.toggleDetectionActive('${det.id}')">
-                                <span class="toggle-slider"></span>
-                            </label>
+                        <td><a href="${this.safeUrl(gap.tech.url)}" class="technique-id" data-action="show-technique" data-id="${this.escapeHtml(gap.tech.id)}">${this.escapeHtml(gap.tech.id)}</a></td>
+                        <td>${this.escapeHtml(gap.tech.name)}</td>
+                        <td>${this.escapeHtml(gap.tech.tactics.join(', '))}</td>
+                        <td title="${this.escapeHtml(gap.usedBy.join(', '))}">
+                            <strong>${gap.count}</strong> of ${selected.length}
                         </td>
+                        <td>${gap.coverage.toFixed(0)}%</td>
+                        <td><span class="status-badge status-${status.replace(' ', '-')}">${status}</span></td>
                         <td>
-                            <div class="action-buttons">
-                                <button class="action-btn btn-edit" onclick="app.editDetection('${det.id}')" title="Edit">✏️</button>
-                                <button class="action-btn btn-delete" onclick="app.deleteDetection('${det.id}')" title="Delete">🗑️</button>
-                            </div>
+                            <button class="btn btn-secondary btn-small" data-action="add-detection-for-technique" data-id="${this.escapeHtml(gap.tech.id)}">Add Rule</button>
                         </td>
                     </tr>
                 `;
@@ -748,145 +3428,4003 @@ class MITREAttackTracker {
         container.innerHTML = html;
     }
 
-    getTechniqueUrl(techniqueId) {
-        const tech = this.techniques.find(t => t.id === techniqueId);
-        return tech ? tech.url : `https://attack.mitre.org/techniques/${techniqueId.replace('.', '/')}`;
+    addDetectionForTechnique(techniqueId) {
+        this.editingDetectionId = null;
+        this.openDetectionModal();
+        this.editingTechniques = [techniqueId];
+        this.renderTechniqueTags();
     }
 
-    toggleDetectionActive(detectionId) {
-        const detection = this.detections.find(d => d.id === detectionId);
-        if (detection) {
-            detection.isActive = !detection.isActive;
-            this.saveUserData();
-            this.renderCurrentView();
-        }
-    }
+    // Data Sources View
+    renderDataSourcesView() {
+        const container = document.getElementById('dataSourcesTable');
+        if (!container) return;
 
-    editDetection(detectionId) {
-        this.editingDetectionId = detectionId;
-        const detection = this.detections.find(d => d.id === detectionId);
-        if (detection) {
-            document.getElementById('modalTitle').textContent = 'Edit Detection Rule';
-            document.getElementById('detectionName').value = detection.name;
-            document.getElementById('detectionDescription').value = detection.description || '';
-            document.getElementById('detectionPlatform').value = detection.platform || '';
-            document.getElementById('detectionSeverity').value = detection.severity || '';
-            document.getElementById('detectionActive').checked = detection.isActive;
-            document.getElementById('technique1').value = detection.technique1 || '';
-            document.getElementById('technique2').value = detection.technique2 || '';
-            document.getElementById('technique3').value = detection.technique3 || '';
-            this.openDetectionModal();
-        }
-    }
+        const searchTerm = document.getElementById('dataSourceSearch')?.value.toLowerCase() || '';
 
-    deleteDetection(detectionId) {
-        if (confirm('Are you sure you want to delete this detection rule?')) {
-            this.detections = this.detections.filter(d => d.id !== detectionId);
-            this.saveUserData();
-            this.renderCurrentView();
-        }
-    }
+        const availableCount = this.dataComponents.filter(dc => this.isDataComponentAvailable(dc.stixId)).length;
+        document.getElementById('dataSourcesSummary').textContent =
+            `${availableCount} of ${this.dataComponents.length} data components available`;
 
-    openDetectionModal() {
-        document.getElementById('detectionModal').classList.add('active');
-        if (!this.editingDetectionId) {
-            document.getElementById('modalTitle').textContent = 'Add Detection Rule';
-            document.getElementById('detectionForm').reset();
-        }
-    }
+        // Count how many techniques each data component can detect
+        const techniqueCounts = {};
+        this.techniques.forEach(tech => {
+            tech.dataComponents.forEach(id => {
+                techniqueCounts[id] = (techniqueCounts[id] || 0) + 1;
+            });
+        });
 
-    closeDetectionModal() {
-        document.getElementById('detectionModal').classList.remove('active');
-        document.getElementById('detectionForm').reset();
-        this.editingDetectionId = null;
-    }
+        // Group components under their data source, keeping sources in name order
+        const groups = [...this.dataSources, { stixId: null, id: '', name: 'Other', platforms: [], url: '' }]
+            .map(source => ({
+                source: source,
+                components: this.dataComponents.filter(dc =>
+                    dc.dataSourceId === source.stixId &&
+                    (!searchTerm ||
+                     dc.name.toLowerCase().includes(searchTerm) ||
+                     dc.dataSourceName.toLowerCase().includes(searchTerm) ||
+                     source.id.toLowerCase().includes(searchTerm))
+                )
+            }))
+            .filter(group => group.components.length > 0);
 
-    saveDetection() {
-        const name = document.getElementById('detectionName').value.trim();
-        const description = document.getElementById('detectionDescription').value.trim();
-        const platform = document.getElementById('detectionPlatform').value;
-        const severity = document.getElementById('detectionSeverity').value;
-        const isActive = document.getElementById('detectionActive').checked;
-        const technique1 = document.getElementById('technique1').value.trim().toUpperCase();
-        const technique2 = document.getElementById('technique2').value.trim().toUpperCase();
-        const technique3 = document.getElementById('technique3').value.trim().toUpperCase();
+        let html = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>ID</th>
+                        <th>Data Source / Component</th>
+                        <th>Platforms</th>
+                        <th>Techniques</th>
+                        <th>Available</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
 
-        if (!name) {
-            alert('Please enter a detection name');
-            return;
-        }
+        if (groups.length === 0) {
+            html += '<tr><td colspan="5" class="empty-state">No data sources found</td></tr>';
+        } else {
+            groups.forEach(group => {
+                const source = group.source;
+                const sourceAvailable = group.components.filter(dc => this.isDataComponentAvailable(dc.stixId)).length;
+                const allAvailable = sourceAvailable === group.components.length;
+
+                html += `
+                    <tr class="data-source-row">
+                        <td>${source.url ? `<a href="${this.safeUrl(source.url)}" target="_blank" rel="noopener noreferrer" class="technique-id">${this.escapeHtml(source.id)}</a>` : '-'}</td>
+                        <td><strong>${this.escapeHtml(source.name)}</strong></td>
+                        <td>${this.escapeHtml(source.platforms.join(', ')) || '-'}</td>
+                        <td>${sourceAvailable} / ${group.components.length} available</td>
+                        <td>
+                            <button class="btn btn-secondary btn-small"
+                                data-action="set-data-source-available" data-id="${this.escapeHtml(source.stixId || '')}" data-available="${!allAvailable}">
+                                ${allAvailable ? 'Mark none' : 'Mark all'}
+                            </button>
+                        </td>
+                    </tr>
+                `;
+
+                group.components.forEach(dc => {
+                    html += `
+                        <tr>
+                            <td></td>
+                            <td class="data-component-name">${this.escapeHtml(dc.name)}</td>
+                            <td></td>
+                            <td>${techniqueCounts[dc.stixId] || 0}</td>
+                            <td>
+                                <label class="toggle-switch">
+                                    <input type="checkbox" ${this.isDataComponentAvailable(dc.stixId) ? 'checked' : ''}
+                                        data-action="toggle-data-component" data-id="${this.escapeHtml(dc.stixId)}">
+                                    <span class="toggle-slider"></span>
+                                </label>
+                            </td>
+                        </tr>
+                    `;
+                });
+            });
+        }
+
+        html += '</tbody></table>';
+        container.innerHTML = html;
+    }
+
+    toggleDataComponent(componentId) {
+        this.dataComponentAvailability[componentId] = !this.isDataComponentAvailable(componentId);
+        this.saveUserData();
+        this.renderCurrentView();
+    }
+
+    setDataSourceAvailable(dataSourceId, available) {
+        this.dataComponents
+            .filter(dc => dc.dataSourceId === dataSourceId)
+            .forEach(dc => { this.dataComponentAvailability[dc.stixId] = available; });
+        this.saveUserData();
+        this.renderCurrentView();
+    }
+
+    // Mitigations View
+    renderMitigationsView() {
+        const container = document.getElementById('mitigationsTable');
+        if (!container) return;
+
+        const searchTerm = document.getElementById('mitigationSearch').value.toLowerCase();
+        const statusFilter = document.getElementById('mitigationStatusFilter').value;
+        const implemented = this.mitigations.filter(mitigation => this.getMitigationState(mitigation.id).status === 'implemented').length;
+        const partial = this.mitigations.filter(mitigation => this.getMitigationState(mitigation.id).status === 'partial').length;
+        document.getElementById('mitigationsSummary').textContent =
+            `${implemented} of ${this.mitigations.length} mitigations implemented, ${partial} partially · ` +
+            `${this.getCoveragePercent(this.techniques, 'mitigation').toFixed(1)}% mitigation coverage`;
+
+        const mitigations = this.mitigations.filter(mitigation =>
+            (!statusFilter || this.getMitigationState(mitigation.id).status === statusFilter) &&
+            (!searchTerm ||
+             mitigation.id.toLowerCase().includes(searchTerm) ||
+             mitigation.name.toLowerCase().includes(searchTerm))
+        );
+
+        let html = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>ID</th>
+                        <th>Name</th>
+                        <th>Techniques</th>
+                        <th>Status</th>
+                        <th>Notes</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+
+        if (mitigations.length === 0) {
+            html += '<tr><td colspan="5" class="empty-state">No mitigations found</td></tr>';
+        } else {
+            mitigations.forEach(mitigation => {
+                const state = this.getMitigationState(mitigation.id);
+                html += `
+                    <tr>
+                        <td><a href="${this.safeUrl(mitigation.url)}" target="_blank" rel="noopener noreferrer" class="technique-id">${this.escapeHtml(mitigation.id)}</a></td>
+                        <td title="${this.escapeHtml(mitigation.description || '')}">${this.escapeHtml(mitigation.name)}</td>
+                        <td>${mitigation.techniques.length}</td>
+                        <td>
+                            <select class="filter-select" data-action="set-mitigation-status" data-id="${this.escapeHtml(mitigation.id)}">
+                                ${Object.keys(this.mitigationStatuses).map(status => `
+                                    <option value="${status}" ${state.status === status ? 'selected' : ''}>${status.charAt(0).toUpperCase() + status.slice(1)}</option>
+                                `).join('')}
+                            </select>
+                        </td>
+                        <td>
+                            <input type="text" class="mitigation-notes" value="${this.escapeHtml(state.notes || '')}" placeholder="How it is implemented..."
+                                data-action="set-mitigation-notes" data-id="${this.escapeHtml(mitigation.id)}">
+                        </td>
+                    </tr>
+                `;
+            });
+        }
+
+        html += '</tbody></table>';
+        container.innerHTML = html;
+    }
+
+    updateMitigationState(mitigationId, changes) {
+        const state = { ...this.getMitigationState(mitigationId), ...changes, updatedAt: new Date().toISOString() };
+        if (state.status === 'not implemented' && !state.notes) {
+            delete this.mitigationStatus[mitigationId];
+        } else {
+            this.mitigationStatus[mitigationId] = state;
+        }
+        this.saveUserData();
+    }
+
+    setMitigationStatus(mitigationId, status) {
+        if (this.mitigationStatuses[status] === undefined) return;
+
+        this.updateMitigationState(mitigationId, { status });
+        this.renderCurrentView();
+    }
+
+    // Notes don't change coverage, so the table is left as is while typing through it
+    setMitigationNotes(mitigationId, notes) {
+        this.updateMitigationState(mitigationId, { notes: notes.trim() });
+    }
+
+    // Settings View
+    async renderSettingsView() {
+        const sourceSelect = document.getElementById('attackDataSource');
+        const versionSelect = document.getElementById('attackVersion');
+        if (!sourceSelect || !versionSelect) return;
+
+        if (versionSelect.options.length === 1) {
+            this.attackVersions.forEach(version => {
+                const option = document.createElement('option');
+                option.value = version;
+                option.textContent = `ATT&CK v${version}`;
+                versionSelect.appendChild(option);
+            });
+        }
+
+        sourceSelect.value = this.settings.dataSource;
+        versionSelect.value = this.settings.attackVersion;
+        document.getElementById('attackDataPath').value = this.settings.dataPath;
+        this.updateAttackDataFields();
+        this.renderScoringSettings();
+
+        const errorElement = document.getElementById('attackDataError');
+        errorElement.textContent = this.attackDataError
+            ? `Failed to load MITRE ATT&CK data: ${this.attackDataError}. Load a STIX bundle from a file or a same-origin path to work offline.`
+            : '';
+        errorElement.classList.toggle('hidden', !this.attackDataError);
+
+        const statusElement = document.getElementById('attackDataStatus');
+        if (this.attackData) {
+            const origin = this.attackDataOrigin || {};
+            const from = origin.type === 'network'
+                ? `downloaded from ${origin.url}`
+                : `loaded from the offline cache (saved ${new Date(origin.cachedAt).toLocaleString()})`;
+            statusElement.textContent = `Using MITRE ATT&CK ${this.mitreVersionNumber}, ${from}.`;
+        } else {
+            statusElement.textContent = 'No ATT&CK data loaded.';
+        }
+
+        const container = document.getElementById('cachedBundles');
+        const bundles = await this.listCachedBundles();
+        const currentKey = this.getBundleCacheKey();
+
+        let html = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Source</th>
+                        <th>ATT&CK Version</th>
+                        <th>Cached</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+
+        if (bundles.length === 0) {
+            html += `<tr><td colspan="4" class="empty-state">${window.indexedDB ? 'No bundles cached yet' : 'This browser does not support offline caching'}</td></tr>`;
+        } else {
+            bundles.forEach(bundle => {
+                html += `
+                    <tr>
+                        <td>${this.escapeHtml(this.describeBundleKey(bundle.key))}${bundle.key === currentKey ? ' <span class="status-badge status-detected">in use</span>' : ''}</td>
+                        <td>${bundle.version ? `v${this.escapeHtml(bundle.version)}` : '-'}</td>
+                        <td>${new Date(bundle.cachedAt).toLocaleString()}</td>
+                        <td>
+                            <div class="action-buttons">
+                                <button class="action-btn btn-delete" data-action="delete-cached-bundle" data-id="${this.escapeHtml(bundle.key)}" title="Remove from cache">🗑️</button>
+                            </div>
+                        </td>
+                    </tr>
+                `;
+            });
+        }
+
+        html += '</tbody></table>';
+        container.innerHTML = html;
+
+        this.renderWorkspaces();
+        this.renderBackups();
+        await this.renderFrameworkUpdates();
+    }
+
+    // Framework updates: the technique index of the last reviewed ATT&CK version is kept so
+    // an update can be compared with it
+    getAttackBaseline() {
+        try {
+            return JSON.parse(this.storageGet(this.getStorageKey('attack_baseline')));
+        } catch (e) {
+            console.error('Error parsing saved ATT&CK baseline:', e);
+            return null;
+        }
+    }
+
+    saveAttackBaseline(index) {
+        try {
+            this.storageSet(this.getStorageKey('attack_baseline'), JSON.stringify(index));
+        } catch (e) {
+            console.error('Error saving ATT&CK baseline:', e);
+        }
+    }
+
+    checkAttackUpgrade() {
+        const baseline = this.getAttackBaseline();
+        if (!baseline) {
+            this.saveAttackBaseline(this.attackIndex);
+            this.attackUpgradeFrom = null;
+        } else {
+            this.attackUpgradeFrom = baseline.version !== this.attackIndex.version ? baseline.version : null;
+        }
+    }
+
+    markAttackUpgradeReviewed() {
+        this.saveAttackBaseline(this.attackIndex);
+        this.attackUpgradeFrom = null;
+        this.attackDiff = null;
+        this.renderCurrentView();
+    }
+
+    renderAttackUpgradeNotice() {
+        const notice = document.getElementById('attackUpgradeNotice');
+        const affected = this.getRetiredTechniqueMappings().length;
+        const show = Boolean(this.attackUpgradeFrom) || affected > 0;
+
+        notice.classList.toggle('hidden', !show);
+        if (!show) return;
+
+        const parts = [];
+        if (this.attackUpgradeFrom) {
+            parts.push(`MITRE ATT&CK was updated from ${this.attackUpgradeFrom} to ${this.mitreVersionNumber}.`);
+        }
+        if (affected > 0) {
+            parts.push(`${affected} technique mapping${affected === 1 ? '' : 's'} in your detection rules point${affected === 1 ? 's' : ''} at revoked, deprecated or unknown techniques and no longer count.`);
+        }
+        document.getElementById('attackUpgradeText').textContent = parts.join(' ');
+    }
+
+    async reviewAttackUpgrade() {
+        this.switchView('settings');
+        if (this.attackUpgradeFrom) {
+            await this.renderFrameworkUpdates();
+            document.getElementById('attackDiffBase').value = 'baseline';
+            await this.compareAttackVersions();
+        }
+        document.getElementById('frameworkUpdatesSection').scrollIntoView?.({ behavior: 'smooth' });
+    }
+
+    async renderFrameworkUpdates() {
+        const select = document.getElementById('attackDiffBase');
+        if (!select || !this.attackIndex) return;
+
+        const current = this.attackIndex.version;
+        const options = [];
+        const baseline = this.getAttackBaseline();
+        if (baseline && baseline.version !== current) {
+            options.push({ value: 'baseline', label: `Previously used version (${baseline.version})` });
+        }
+        (await this.listCachedBundles())
+            .filter(bundle => bundle.version && `v${bundle.version}` !== current && this.getBundleKeyDomain(bundle.key) === this.settings.domain)
+            .forEach(bundle => options.push({ value: `cache:${bundle.key}`, label: `${this.describeBundleKey(bundle.key)} - v${bundle.version}` }));
+
+        const selected = select.value;
+        select.innerHTML = options.length === 0
+            ? '<option value="">No other ATT&CK version available</option>'
+            : options.map(option => `<option value="${this.escapeHtml(option.value)}">${this.escapeHtml(option.label)}</option>`).join('');
+        if (options.some(option => option.value === selected)) {
+            select.value = selected;
+        }
+        document.getElementById('compareAttackVersionsBtn').disabled = options.length === 0;
+        document.getElementById('markAttackReviewedBtn').classList.toggle('hidden', !this.attackUpgradeFrom);
+
+        this.renderAttackDiff();
+        this.renderTechniqueRemapTable();
+        this.renderTechniqueRemapLog();
+    }
+
+    async compareAttackVersions() {
+        const value = document.getElementById('attackDiffBase').value;
+        let base = null;
+
+        if (value === 'baseline') {
+            base = this.getAttackBaseline();
+        } else if (value.startsWith('cache:')) {
+            const cached = await this.getCachedBundle(value.substring('cache:'.length));
+            base = cached ? this.buildTechniqueIndex(cached.bundle) : null;
+        }
+
+        if (!base) {
+            alert('The selected ATT&CK version is no longer available');
+            return;
+        }
+
+        this.attackDiff = this.diffTechniqueIndexes(base, this.attackIndex);
+        this.renderAttackDiff();
+    }
+
+    diffTechniqueIndexes(from, to) {
+        const diff = { from: from.version, to: to.version, added: [], revoked: [], deprecated: [], removed: [], renamed: [], moved: [] };
+
+        Object.entries(to.techniques).forEach(([id, entry]) => {
+            const old = from.techniques[id];
+            const wasActive = old && old.status === 'active';
+
+            if (entry.status === 'active') {
+                if (!wasActive) {
+                    diff.added.push({ id, name: entry.name });
+                    return;
+                }
+                if (old.name !== entry.name) {
+                    diff.renamed.push({ id, name: entry.name, oldName: old.name });
+                }
+                const addedTactics = entry.tactics.filter(tactic => !old.tactics.includes(tactic));
+                const removedTactics = old.tactics.filter(tactic => !entry.tactics.includes(tactic));
+                if (addedTactics.length > 0 || removedTactics.length > 0) {
+                    diff.moved.push({ id, name: entry.name, addedTactics, removedTactics });
+                }
+            } else if (wasActive) {
+                diff[entry.status].push({ id, name: old.name, replacedBy: entry.replacedBy });
+            }
+        });
+
+        Object.entries(from.techniques)
+            .filter(([id, entry]) => entry.status === 'active' && !to.techniques[id])
+            .forEach(([id, entry]) => diff.removed.push({ id, name: entry.name, replacedBy: null }));
+
+        return diff;
+    }
+
+    renderAttackDiff() {
+        const container = document.getElementById('attackDiffResult');
+        const diff = this.attackDiff;
+        if (!diff) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const tacticName = shortName => {
+            const tactic = this.tactics.find(t => t.shortName === shortName);
+            return tactic ? tactic.name : shortName;
+        };
+        const technique = item => `<span class="technique-id">${this.escapeHtml(item.id)}</span> ${this.escapeHtml(item.name)}`;
+
+        const sections = [
+            { key: 'added', label: 'Added', render: item => technique(item) },
+            { key: 'revoked', label: 'Revoked', render: item => `${technique(item)} → ${item.replacedBy ? `<span class="technique-id">${this.escapeHtml(item.replacedBy)}</span> ${this.escapeHtml(this.techniquesById[item.replacedBy].name)}` : 'no replacement'}` },
+            { key: 'deprecated', label: 'Deprecated', render: item => technique(item) },
+            { key: 'removed', label: 'Removed', render: item => technique(item) },
+            { key: 'renamed', label: 'Renamed', render: item => `<span class="technique-id">${this.escapeHtml(item.id)}</span> ${this.escapeHtml(item.oldName)} → ${this.escapeHtml(item.name)}` },
+            { key: 'moved', label: 'Moved between tactics', render: item => `${technique(item)}: ${[
+                ...item.addedTactics.map(tactic => `+ ${tacticName(tactic)}`),
+                ...item.removedTactics.map(tactic => `- ${tacticName(tactic)}`)
+            ].join(', ')}` }
+        ];
+
+        container.innerHTML = `
+            <p class="settings-status">Changes from ${this.escapeHtml(diff.from)} to ${this.escapeHtml(diff.to)}</p>
+            <div class="attack-diff-summary">
+                ${sections.map(section => `<span class="status-badge status-not-applicable">${diff[section.key].length} ${section.label.toLowerCase()}</span>`).join('')}
+            </div>
+            ${sections.filter(section => diff[section.key].length > 0).map(section => `
+                <details class="attack-diff-details">
+                    <summary>${section.label} (${diff[section.key].length})</summary>
+                    <ul>
+                        ${diff[section.key].map(item => `<li>${section.render(item)}</li>`).join('')}
+                    </ul>
+                </details>
+            `).join('')}
+        `;
+    }
+
+    // Every technique ID in a detection rule that does not count in the loaded version
+    getRetiredTechniqueMappings() {
+        const mappings = [];
+        this.detections.forEach(det => {
+            det.techniques.filter(id => !this.techniquesById[id]).forEach(id => {
+                const retired = this.retiredTechniques[id];
+                mappings.push({
+                    detection: det,
+                    techniqueId: id,
+                    reason: retired ? retired.reason : 'unknown',
+                    replacement: retired ? retired.replacedBy : null
+                });
+            });
+        });
+        return mappings;
+    }
+
+    renderTechniqueRemapTable() {
+        const container = document.getElementById('techniqueRemapTable');
+        const mappings = this.getRetiredTechniqueMappings();
+
+        if (mappings.length === 0) {
+            container.innerHTML = `<div class="empty-state">Every detection rule maps to techniques in ATT&CK ${this.escapeHtml(this.mitreVersionNumber)}</div>`;
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Detection Rule</th>
+                        <th>Technique</th>
+                        <th>Change</th>
+                        <th>Action</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${mappings.map((mapping, index) => `
+                        <tr>
+                            <td>${this.escapeHtml(mapping.detection.name)}</td>
+                            <td><span class="technique-id technique-unknown">${this.escapeHtml(mapping.techniqueId)}</span></td>
+                            <td>${mapping.reason}${mapping.replacement ? `, replaced by ${mapping.replacement} ${this.escapeHtml(this.techniquesById[mapping.replacement].name)}` : ''}</td>
+                            <td>
+                                <select data-remap-index="${index}">
+                                    ${mapping.replacement ? `<option value="replace" selected>Replace with ${this.escapeHtml(mapping.replacement)}</option>` : ''}
+                                    <option value="remove">Remove mapping</option>
+                                    <option value="keep" ${mapping.replacement ? '' : 'selected'}>Keep as is</option>
+                                </select>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div style="margin-top: 1rem; text-align: right;">
+                <button type="button" class="btn btn-primary" data-action="apply-remap">Apply Remapping</button>
+            </div>
+        `;
+    }
+
+    applyTechniqueRemap() {
+        const mappings = this.getRetiredTechniqueMappings();
+        const changes = [];
+
+        document.querySelectorAll('#techniqueRemapTable select[data-remap-index]').forEach(select => {
+            const mapping = mappings[parseInt(select.dataset.remapIndex, 10)];
+            if (!mapping || select.value === 'keep') return;
+            changes.push({ mapping, action: select.value });
+        });
+
+        if (changes.length === 0) {
+            alert('No changes selected');
+            return;
+        }
+        if (!this.createBackup(`Before remapping techniques to ATT&CK ${this.mitreVersionNumber}`)) {
+            alert('Could not store a backup of your current data (browser storage is full). Export your data first, then try again.');
+            return;
+        }
+
+        const now = new Date().toISOString();
+        const log = {
+            appliedAt: now,
+            fromVersion: this.attackUpgradeFrom || null,
+            toVersion: this.mitreVersionNumber,
+            changes: []
+        };
+
+        this.trackDetectionChanges('remap', `Remapped ${changes.length} technique mapping${changes.length === 1 ? '' : 's'} to ATT&CK ${this.mitreVersionNumber}`, () => {
+            changes.forEach(({ mapping, action }) => {
+                const det = mapping.detection;
+                const to = action === 'replace' ? mapping.replacement : null;
+                det.techniques = [...new Set(det.techniques.flatMap(id => id !== mapping.techniqueId ? [id] : (to ? [to] : [])))];
+                det.updatedAt = now;
+                log.changes.push({ detectionId: det.id, detectionName: det.name, from: mapping.techniqueId, to, reason: mapping.reason });
+            });
+        });
+
+        const history = this.getTechniqueRemapLog();
+        history.unshift(log);
+        this.storageSet(this.getStorageKey('technique_remaps'), JSON.stringify(history));
+
+        this.saveUserData();
+        this.renderCurrentView();
+        alert(`Updated ${log.changes.length} technique mapping${log.changes.length === 1 ? '' : 's'}. The previous state can be restored from Backups.`);
+    }
+
+    getTechniqueRemapLog() {
+        try {
+            return JSON.parse(this.storageGet(this.getStorageKey('technique_remaps'))) || [];
+        } catch (e) {
+            console.error('Error parsing saved remapping changelog:', e);
+            return [];
+        }
+    }
+
+    renderTechniqueRemapLog() {
+        const container = document.getElementById('techniqueRemapLog');
+        const rows = this.getTechniqueRemapLog().flatMap(log => log.changes.map(change => ({ ...change, log })));
+
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>ATT&CK</th>
+                        <th>Detection Rule</th>
+                        <th>Change</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.length === 0 ? '<tr><td colspan="4" class="empty-state">No remapping applied yet</td></tr>' : ''}
+                    ${rows.map(row => `
+                        <tr>
+                            <td>${new Date(row.log.appliedAt).toLocaleString()}</td>
+                            <td>${row.log.fromVersion ? `${this.escapeHtml(row.log.fromVersion)} → ` : ''}${this.escapeHtml(row.log.toVersion)}</td>
+                            <td>${this.escapeHtml(row.detectionName)}</td>
+                            <td>${this.escapeHtml(row.from)} (${this.escapeHtml(row.reason)}) → ${this.escapeHtml(row.to || 'removed')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Coverage scoring settings
+    renderScoringSettings() {
+        const container = document.getElementById('scoringSettings');
+        if (!container) return;
+
+        const weightInput = (key, value) =>
+            `<input type="number" class="modifier-input" min="0" max="1" step="0.05" data-weight="${this.escapeHtml(key)}" value="${value}">`;
+        const rows = (entries) => entries.map(([label, input]) => `<tr><td>${this.escapeHtml(label)}</td><td>${input}</td></tr>`).join('');
+
+        container.innerHTML = `
+            <div class="scoring-grid">
+                <table class="data-table">
+                    <thead><tr><th>Severity</th><th>Weight</th></tr></thead>
+                    <tbody>${rows(Object.entries(this.scoring.severity).map(([severity, value]) =>
+                        [severity, weightInput(`severity.${severity}`, value)]))}</tbody>
+                </table>
+                <table class="data-table">
+                    <thead><tr><th>Status</th><th>Weight</th></tr></thead>
+                    <tbody>${rows(this.ruleStatuses.map(status =>
+                        [status.charAt(0).toUpperCase() + status.slice(1), weightInput(`status.${status}`, this.scoring.status[status])]))}</tbody>
+                </table>
+                <table class="data-table">
+                    <thead><tr><th>Validation &amp; Levels</th><th>Value</th></tr></thead>
+                    <tbody>${rows([
+                        ['Validated', weightInput('validated', this.scoring.validated)],
+                        ['Not validated', weightInput('unvalidated', this.scoring.unvalidated)],
+                        ['Rules for full coverage', `<input type="number" class="modifier-input" min="1" step="1" data-weight="rulesPerTechnique" value="${this.scoring.rulesPerTechnique}">`],
+                        ['Partial from (%)', `<input type="number" class="modifier-input" min="1" max="100" step="1" data-weight="partialThreshold" value="${this.scoring.partialThreshold}">`],
+                        ['High from (%)', `<input type="number" class="modifier-input" min="1" max="100" step="1" data-weight="highThreshold" value="${this.scoring.highThreshold}">`]
+                    ])}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    saveScoringSettings() {
+        const scoring = { severity: {}, status: {} };
+        let invalid = null;
+
+        document.querySelectorAll('#scoringSettings [data-weight]').forEach(input => {
+            const value = parseFloat(input.value);
+            const [group, key] = input.dataset.weight.split('.');
+            const isWeight = key !== undefined || group === 'validated' || group === 'unvalidated';
+            const max = isWeight ? 1 : (group === 'rulesPerTechnique' ? Infinity : 100);
+            const min = isWeight ? 0 : 1;
+            if (Number.isNaN(value) || value < min || value > max) {
+                invalid = input;
+                return;
+            }
+            if (key !== undefined) {
+                scoring[group][key] = value;
+            } else {
+                scoring[group] = group === 'rulesPerTechnique' ? Math.round(value) : value;
+            }
+        });
+
+        if (invalid) {
+            alert('Weights must be between 0 and 1, thresholds between 1 and 100 and the rules for full coverage at least 1');
+            invalid.focus();
+            return;
+        }
+        if (scoring.partialThreshold > scoring.highThreshold) {
+            alert('The partial threshold cannot be above the high threshold');
+            return;
+        }
+
+        this.settings.scoring = scoring;
+        this.scoring = this.getScoringModel();
+        this.saveSettings();
+        this.renderSettingsView();
+    }
+
+    resetScoringSettings() {
+        if (!confirm('Reset the coverage scoring weights to their defaults?')) return;
+
+        delete this.settings.scoring;
+        this.scoring = this.getScoringModel();
+        this.saveSettings();
+        this.renderSettingsView();
+    }
+
+    describeBundleKey(key) {
+        const domain = this.getBundleKeyDomain(key);
+        const source = domain === 'enterprise' ? key : key.substring(domain.length + 1);
+        let label;
+        if (source === 'file') {
+            label = 'Local file';
+        } else if (source.startsWith('path:')) {
+            label = `Path: ${source.substring(5)}`;
+        } else {
+            const version = source.substring('github:'.length);
+            label = `MITRE CTI GitHub (${version === 'latest' ? 'latest' : `v${version}`})`;
+        }
+        return `${this.attackDomains[domain].name} - ${label}`;
+    }
+
+    updateAttackDataFields() {
+        const source = document.getElementById('attackDataSource').value;
+        document.getElementById('attackVersionGroup').classList.toggle('hidden', source !== 'github');
+        document.getElementById('attackDataPathGroup').classList.toggle('hidden', source !== 'path');
+        document.getElementById('attackDataFileGroup').classList.toggle('hidden', source !== 'file');
+    }
+
+    async applyAttackDataSettings() {
+        const dataPath = document.getElementById('attackDataPath').value.trim();
+        const dataSource = document.getElementById('attackDataSource').value;
+
+        if (dataSource === 'path' && !dataPath) {
+            alert('Please enter the path of the STIX bundle');
+            return;
+        }
+
+        // Only same-origin paths: the point is to avoid reaching out to the internet
+        if (dataSource === 'path' && new URL(dataPath, window.location.href).origin !== window.location.origin) {
+            alert('The bundle path must be on the same origin as this application');
+            return;
+        }
+
+        this.settings.dataSource = dataSource;
+        this.settings.attackVersion = document.getElementById('attackVersion').value;
+        if (dataPath) {
+            this.settings.dataPath = dataPath;
+        }
+        this.saveSettings();
+        await this.reloadAttackData();
+    }
+
+    loadBundleFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = async (e) => {
+            try {
+                const bundle = JSON.parse(e.target.result);
+                this.validateAttackBundle(bundle);
+
+                const cacheKey = this.getBundleCacheKey('file');
+                await this.putCachedBundle(cacheKey, bundle);
+                if (!await this.getCachedBundle(cacheKey)) {
+                    // Without a cache the bundle only lives for this session
+                    this.settings.dataSource = 'file';
+                    this.attackData = bundle;
+                    this.attackDataError = null;
+                    this.attackDataOrigin = { type: 'cache', cachedAt: new Date().toISOString() };
+                    this.processAttackData();
+                    this.resetFrameworkOptions();
+                    this.renderCurrentView();
+                    return;
+                }
+
+                this.settings.dataSource = 'file';
+                this.saveSettings();
+                await this.reloadAttackData();
+            } catch (error) {
+                console.error('Error loading STIX bundle:', error);
+                alert(`Error loading STIX bundle: ${error.message}`);
+            }
+        };
+        reader.readAsText(file);
+
+        // Reset file input
+        event.target.value = '';
+    }
+
+    // Technique Detail Panel
+    showTechniqueDetails(techniqueId) {
+        if (!this.techniquesById[techniqueId]) return;
+
+        this.selectedTechniqueId = techniqueId;
+        this.renderTechniquePanel();
+        const panel = document.getElementById('techniquePanel');
+        panel.classList.add('open');
+        panel.setAttribute('aria-hidden', 'false');
+        document.getElementById('techniquePanelBody').scrollTop = 0;
+        this.updateRoute();
+    }
+
+    closeTechniquePanel() {
+        this.selectedTechniqueId = null;
+        const panel = document.getElementById('techniquePanel');
+        panel.classList.remove('open');
+        panel.setAttribute('aria-hidden', 'true');
+        this.updateRoute();
+    }
+
+    renderTechniquePanel() {
+        const tech = this.techniquesById[this.selectedTechniqueId];
+        if (!tech) {
+            this.closeTechniquePanel();
+            return;
+        }
+
+        const status = this.getTechniqueStatus(tech, 'detection');
+        const coverage = (this.calculateCoverage(tech) * 100).toFixed(0);
+        const parent = tech.isSubTechnique ? this.techniquesById[tech.parentId] : null;
+        const tacticNames = tech.tactics.map(shortName => {
+            const tactic = this.tactics.find(t => t.shortName === shortName);
+            return tactic ? tactic.name : shortName;
+        });
+        const subTechniques = this.getSubTechniques(tech.id);
+        const detections = this.detections.filter(det => det.techniques.includes(tech.id));
+        const testRuns = this.getTestRunsForTechnique(tech.id);
+        const validation = this.getValidationStatus(tech);
+        const resultClasses = { detected: 'status-detected', partial: 'status-partially-detected', missed: 'status-not-detected' };
+        const validationClasses = { validated: 'status-detected', partial: 'status-partially-detected', failed: 'status-not-detected', untested: 'status-not-applicable' };
+        const mitigations = this.getMitigationsForTechnique(tech.id);
+        const mitigationClasses = { implemented: 'status-detected', partial: 'status-partially-detected', 'not implemented': 'status-not-detected' };
+        const components = tech.dataComponents
+            .map(id => this.dataComponents.find(dc => dc.stixId === id))
+            .filter(Boolean);
+        const threats = this.threatActors.filter(actor => actor.techniques.includes(tech.id));
+        const typeLabels = { group: 'Group', malware: 'Malware', tool: 'Tool' };
+        const techniqueLink = (technique) =>
+            `<a href="${this.safeUrl(technique.url)}" class="technique-id" data-action="show-technique" data-id="${this.escapeHtml(technique.id)}">${this.escapeHtml(technique.id)}</a>`;
+
+        document.getElementById('techniquePanelId').textContent = tech.id;
+        document.getElementById('techniquePanelTitle').textContent = tech.name;
+
+        document.getElementById('techniquePanelBody').innerHTML = `
+            <div class="panel-summary">
+                <span class="status-badge status-${status.replace(' ', '-')}">${status}</span>
+                <span>${coverage}% coverage</span>
+                <span class="status-badge ${validationClasses[validation]}">${validation}</span>
+                ${tech.url ? `<a href="${this.safeUrl(tech.url)}" target="_blank" rel="noopener noreferrer">View on attack.mitre.org ↗</a>` : ''}
+            </div>
+            ${parent ? `<p class="panel-meta">Sub-technique of ${techniqueLink(parent)} ${this.escapeHtml(parent.name)}</p>` : ''}
+            <dl class="panel-facts">
+                <dt>Tactics</dt>
+                <dd>${tacticNames.length > 0 ? this.escapeHtml(tacticNames.join(', ')) : '-'}</dd>
+                <dt>Platforms</dt>
+                <dd>${tech.platforms.length > 0 ? this.escapeHtml(tech.platforms.join(', ')) : '-'}</dd>
+            </dl>
+
+            <div class="panel-section">
+                <h3>Description</h3>
+                <div class="panel-description">${tech.description ? this.renderMarkdown(tech.description) : '<p class="exclusion-note">No description</p>'}</div>
+            </div>
+
+            ${subTechniques.length > 0 ? `
+                <div class="panel-section">
+                    <h3>Sub-techniques (${subTechniques.length})</h3>
+                    <ul class="panel-list">
+                        ${subTechniques.map(sub => {
+                            const subStatus = this.getTechniqueStatus(sub, 'detection');
+                            return `
+                                <li>
+                                    ${techniqueLink(sub)} ${this.escapeHtml(sub.name)}
+                                    <span class="status-badge status-${subStatus.replace(' ', '-')}">${subStatus}</span>
+                                </li>
+                            `;
+                        }).join('')}
+                    </ul>
+                </div>
+            ` : ''}
+
+            <div class="panel-section">
+                <div class="panel-section-header">
+                    <h3>Detection Rules (${detections.length})</h3>
+                    <button class="btn btn-primary btn-small" data-action="add-detection-for-technique" data-id="${this.escapeHtml(tech.id)}">+ Add Rule</button>
+                </div>
+                ${detections.length === 0 ? '<p class="exclusion-note">No detection rules are mapped to this technique</p>' : `
+                    <ul class="panel-list">
+                        ${detections.map(det => `
+                            <li>
+                                <span>
+                                    <strong>${this.escapeHtml(det.name)}</strong>
+                                    <span class="exclusion-note">${this.escapeHtml([det.severity, det.isActive ? 'active' : 'inactive'].filter(Boolean).join(' · '))}</span>
+                                </span>
+                                <button class="action-btn btn-edit" data-action="edit-detection" data-id="${this.escapeHtml(det.id)}" title="Edit">✏️</button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                `}
+            </div>
+
+            <div class="panel-section">
+                <div class="panel-section-header">
+                    <h3>Validation Tests (${testRuns.length})</h3>
+                    <button class="btn btn-primary btn-small" data-action="open-test-run" data-id="${this.escapeHtml(tech.id)}">+ Record Test</button>
+                </div>
+                ${testRuns.length === 0 ? '<p class="exclusion-note">No test runs recorded for this technique</p>' : `
+                    <ul class="panel-list">
+                        ${testRuns.map(run => {
+                            const rule = run.detectionId ? this.detections.find(det => det.id === run.detectionId) : null;
+                            const details = [
+                                run.date,
+                                run.techniqueId !== tech.id ? run.techniqueId : '',
+                                run.testName ? run.testId : '',
+                                rule ? `rule: ${rule.name}` : '',
+                                run.notes
+                            ].filter(Boolean).join(' · ');
+                            return `
+                                <li>
+                                    <span>
+                                        <span class="status-badge ${resultClasses[run.result] || ''}">${this.escapeHtml(run.result)}</span>
+                                        <strong>${this.escapeHtml(run.testName || run.testId || 'Manual test')}</strong>
+                                        <span class="exclusion-note">${this.escapeHtml(details)}</span>
+                                    </span>
+                                    <button class="action-btn btn-delete" data-action="delete-test-run" data-id="${this.escapeHtml(run.id)}" title="Delete">🗑️</button>
+                                </li>
+                            `;
+                        }).join('')}
+                    </ul>
+                `}
+            </div>
+
+            <div class="panel-section">
+                <h3>Mitigations (${mitigations.length}) &middot; ${(this.calculateMitigationCoverage(tech) * 100).toFixed(0)}% mitigated</h3>
+                ${mitigations.length === 0 ? '<p class="exclusion-note">No mitigations listed</p>' : `
+                    <ul class="panel-list">
+                        ${mitigations.map(mitigation => `
+                            <li title="${this.escapeHtml(mitigation.description || '')}">
+                                <span>
+                                    <a href="${this.safeUrl(mitigation.url)}" target="_blank" rel="noopener noreferrer" class="technique-id">${this.escapeHtml(mitigation.id)}</a>
+                                    ${this.escapeHtml(mitigation.name)}
+                                </span>
+                                <span class="status-badge ${mitigationClasses[this.getMitigationState(mitigation.id).status] || ''}">${this.escapeHtml(this.getMitigationState(mitigation.id).status)}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                `}
+            </div>
+
+            <div class="panel-section">
+                <h3>Data Components (${this.getAvailableDataComponents(tech)} / ${components.length} available)</h3>
+                ${components.length === 0 ? '<p class="exclusion-note">No data components listed</p>' : `
+                    <ul class="panel-list">
+                        ${components.map(dc => `
+                            <li>
+                                <span>${this.escapeHtml(dc.name)} <span class="exclusion-note">${this.escapeHtml(dc.dataSourceName)}</span></span>
+                                ${this.isDataComponentAvailable(dc.stixId)
+                                    ? '<span class="status-badge status-detected">available</span>'
+                                    : '<span class="status-badge status-not-detected">missing</span>'}
+                            </li>
+                        `).join('')}
+                    </ul>
+                `}
+            </div>
+
+            <div class="panel-section">
+                <h3>Groups &amp; Software (${threats.length})</h3>
+                ${threats.length === 0 ? '<p class="exclusion-note">No groups or software are known to use this technique</p>' : `
+                    <ul class="panel-list">
+                        ${threats.map(actor => `
+                            <li>
+                                <span>
+                                    <a href="${this.safeUrl(actor.url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(actor.name)}</a>
+                                    <span class="exclusion-note">${this.escapeHtml(actor.id)} · ${typeLabels[actor.type]}</span>
+                                </span>
+                                ${this.selectedThreatActors.includes(actor.id) ? '<span class="status-badge status-partially-detected">selected</span>' : ''}
+                            </li>
+                        `).join('')}
+                    </ul>
+                `}
+            </div>
+        `;
+    }
+
+    // ATT&CK descriptions are Markdown with inline citations and the odd <code> tag
+    renderMarkdown(text) {
+        const inline = (value) => this.escapeHtml(value.replace(/\s*\(Citation:[^)]*\)/g, ''))
+            .replace(/&lt;code&gt;(.*?)&lt;\/code&gt;/g, '<code>$1</code>')
+            .replace(/`([^`]+)`/g, '<code>$1</code>')
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
+
+        return text.trim().split(/\n\s*\n/).map(block => {
+            const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+            if (lines.length > 0 && lines.every(line => /^[*-]\s+/.test(line))) {
+                return `<ul>${lines.map(line => `<li>${inline(line.replace(/^[*-]\s+/, ''))}</li>`).join('')}</ul>`;
+            }
+            return `<p>${lines.map(inline).join('<br>')}</p>`;
+        }).join('');
+    }
+
+    // Detections View
+    renderDetectionsView() {
+        const container = document.getElementById('detectionsTable');
+        if (!container) return;
+
+        // Populate technique datalist
+        const datalist = document.getElementById('techniquesList');
+        if (datalist && datalist.options.length === 0) {
+            this.techniques.forEach(tech => {
+                const option = document.createElement('option');
+                option.value = tech.id;
+                option.textContent = `${tech.id} - ${tech.name}`;
+                datalist.appendChild(option);
+            });
+        }
+
+        this.renderDetectionFilterOptions();
+        const detections = this.getFilteredDetections();
+        document.getElementById('detectionCount').textContent = detections.length === this.detections.length
+            ? `${this.detections.length} rules`
+            : `${detections.length} of ${this.detections.length} rules`;
+
+        const sortable = (key, label, title = '') => {
+            const arrow = this.detectionSort.key === key ? (this.detectionSort.direction === 'asc' ? ' ▲' : ' ▼') : '';
+            return `<th class="sortable" data-action="sort-detections" data-id="${key}"${title ? ` title="${title}"` : ''}>${label}${arrow}</th>`;
+        };
+
+        const allSelected = detections.length > 0 && detections.every(det => this.detectionSelection.has(det.id));
+        let html = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th class="select-column">
+                            <input type="checkbox" id="detectionSelectAll" data-action="select-all-detections"
+                                title="Select all rules matching the filters" ${allSelected ? 'checked' : ''}>
+                        </th>
+                        ${sortable('name', 'Name')}
+                        ${sortable('owner', 'Owner')}
+                        ${sortable('status', 'Status')}
+                        ${sortable('platform', 'Platform')}
+                        ${sortable('severity', 'Severity')}
+                        ${sortable('weight', 'Weight', 'How much the rule counts towards coverage: severity × status × validation weight')}
+                        <th>Techniques</th>
+                        ${sortable('lastReviewed', 'Last Review')}
+                        ${sortable('isActive', 'Active')}
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+
+        if (this.detections.length === 0) {
+            html += '<tr><td colspan="11" class="empty-state">No detection rules yet. Click "Add Detection Rule" to get started.</td></tr>';
+        } else if (detections.length === 0) {
+            html += '<tr><td colspan="11" class="empty-state">No detection rules match the filters</td></tr>';
+        } else {
+            detections.forEach(det => {
+                const selected = this.detectionSelection.has(det.id);
+                html += `
+                    <tr class="${selected ? 'row-selected' : ''}">
+                        <td class="select-column">
+                            <input type="checkbox" data-action="select-detection" data-id="${this.escapeHtml(det.id)}" ${selected ? 'checked' : ''}>
+                        </td>
+                        <td>
+                            <strong>${this.escapeHtml(det.name)}</strong>
+                            ${det.product ? `<div class="detection-source">${this.escapeHtml(det.product)}</div>` : ''}
+                            ${det.tags.length > 0 ? `<div class="rule-tags">${det.tags.map(tag => `<span class="rule-tag">${this.escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+                        </td>
+                        <td>${det.owner ? this.escapeHtml(det.owner) : '-'}</td>
+                        <td><span class="status-badge rule-status rule-status-${det.status.replace(' ', '-')}">${det.status}</span></td>
+                        <td>${det.platform ? this.escapeHtml(det.platform) : '-'}</td>
+                        <td>${det.severity ? this.escapeHtml(det.severity) : '-'}</td>
+                        <td title="${det.validated ? 'Validated' : 'Not validated'}">
+                            ${Math.round(this.getRuleScore(det) * 100)}%
+                        </td>
+                        <td>
+                            <div class="technique-chips">
+                                ${det.techniques.length > 0 ? det.techniques.map(id => `
+                                    <a href="${this.safeUrl(this.getTechniqueUrl(id))}" target="_blank" rel="noopener noreferrer"
+                                        class="technique-id ${this.techniquesById[id] ? '' : 'technique-unknown'}"
+                                        title="${this.escapeHtml(this.techniquesById[id] ? this.techniquesById[id].name : 'Not in the loaded ATT&CK version')}">${this.escapeHtml(id)}</a>
+                                `).join('') : '-'}
+                            </div>
+                        </td>
+                        <td>${this.escapeHtml(det.lastReviewed || '-')}</td>
+                        <td>
+                            <label class="toggle-switch">
+                                <input type="checkbox" ${det.isActive ? 'checked' : ''}
+                                    data-action="toggle-detection-active" data-id="${this.escapeHtml(det.id)}">
+                                <span class="toggle-slider"></span>
+                            </label>
+                        </td>
+                        <td>
+                            <div class="action-buttons">
+                                <button class="action-btn btn-edit" data-action="edit-detection" data-id="${this.escapeHtml(det.id)}" title="Edit">✏️</button>
+                                <button class="action-btn btn-delete" data-action="delete-detection" data-id="${this.escapeHtml(det.id)}" title="Delete">🗑️</button>
+                            </div>
+                        </td>
+                    </tr>
+                `;
+            });
+        }
+
+        html += '</tbody></table>';
+        container.innerHTML = html;
+        this.renderDetectionBulkBar(detections);
+    }
+
+    // Owner, product and tag filters list the values in use
+    renderDetectionFilterOptions() {
+        const fill = (selectId, label, values) => {
+            const select = document.getElementById(selectId);
+            const selected = select.value;
+            const options = [...new Set(values)].filter(Boolean).sort((a, b) => a.localeCompare(b));
+            select.innerHTML = `<option value="">${label}</option>` + options.map(value =>
+                `<option value="${this.escapeHtml(value)}">${this.escapeHtml(value)}</option>`
+            ).join('');
+            select.value = options.includes(selected) ? selected : '';
+        };
+
+        fill('detectionOwnerFilter', 'All Owners', this.detections.map(det => det.owner));
+        fill('detectionProductFilter', 'All Products', this.detections.map(det => det.product));
+        fill('detectionTagFilter', 'All Tags', this.detections.flatMap(det => det.tags));
+    }
+
+    getFilteredDetections() {
+        const value = id => document.getElementById(id)?.value || '';
+        const searchTerm = value('detectionSearch').trim().toLowerCase();
+        const status = value('detectionStatusFilter');
+        const severity = value('detectionSeverityFilter');
+        const owner = value('detectionOwnerFilter');
+        const product = value('detectionProductFilter');
+        const tag = value('detectionTagFilter');
+        const active = value('detectionActiveFilter');
+
+        const filtered = this.detections.filter(det => {
+            if (status && det.status !== status) return false;
+            if (severity && (severity === 'none' ? det.severity : det.severity !== severity)) return false;
+            if (owner && det.owner !== owner) return false;
+            if (product && det.product !== product) return false;
+            if (tag && !det.tags.includes(tag)) return false;
+            if (active && det.isActive !== (active === 'active')) return false;
+            if (!searchTerm) return true;
+
+            return [det.name, det.description, det.owner, det.product, det.platform, det.severity, det.status,
+                det.query, det.lastReviewed, ...det.tags, ...det.references, ...det.techniques]
+                .some(field => field && String(field).toLowerCase().includes(searchTerm));
+        });
+
+        const severityRank = { Critical: 4, High: 3, Medium: 2, Low: 1 };
+        const sortValue = {
+            name: det => det.name.toLowerCase(),
+            owner: det => (det.owner || '').toLowerCase(),
+            status: det => this.ruleStatuses.indexOf(det.status),
+            platform: det => (det.platform || '').toLowerCase(),
+            severity: det => severityRank[det.severity] || 0,
+            weight: det => this.getRuleScore(det),
+            lastReviewed: det => det.lastReviewed || '',
+            isActive: det => (det.isActive ? 1 : 0)
+        }[this.detectionSort.key];
+        const direction = this.detectionSort.direction === 'asc' ? 1 : -1;
+
+        return filtered.sort((a, b) => {
+            const x = sortValue(a);
+            const y = sortValue(b);
+            const order = typeof x === 'string' ? x.localeCompare(y) : x - y;
+            return order * direction || a.name.localeCompare(b.name);
+        });
+    }
+
+    sortDetections(key) {
+        this.detectionSort = {
+            key,
+            direction: this.detectionSort.key === key && this.detectionSort.direction === 'asc' ? 'desc' : 'asc'
+        };
+        this.renderDetectionsView();
+    }
+
+    getTechniqueUrl(techniqueId) {
+        const tech = this.techniques.find(t => t.id === techniqueId);
+        return tech ? tech.url : `https://attack.mitre.org/techniques/${techniqueId.replace('.', '/')}`;
+    }
+
+    toggleDetectionActive(detectionId) {
+        const detection = this.detections.find(d => d.id === detectionId);
+        if (detection) {
+            this.trackDetectionChanges('toggle', `${detection.isActive ? 'Deactivated' : 'Activated'} "${detection.name}"`, () => {
+                detection.isActive = !detection.isActive;
+            });
+            this.saveUserData();
+            this.renderCurrentView();
+        }
+    }
+
+    editDetection(detectionId) {
+        this.editingDetectionId = detectionId;
+        const detection = this.detections.find(d => d.id === detectionId);
+        if (detection) {
+            document.getElementById('modalTitle').textContent = 'Edit Detection Rule';
+            document.getElementById('detectionName').value = detection.name;
+            document.getElementById('detectionDescription').value = detection.description || '';
+            document.getElementById('detectionProduct').value = detection.product || '';
+            document.getElementById('detectionOwner').value = detection.owner || '';
+            document.getElementById('detectionTags').value = detection.tags.join(', ');
+            document.getElementById('detectionQuery').value = detection.query || '';
+            document.getElementById('detectionReferences').value = detection.references.join('\n');
+            document.getElementById('detectionLastReviewed').value = detection.lastReviewed || '';
+            document.getElementById('detectionPlatform').value = detection.platform || '';
+            document.getElementById('detectionSeverity').value = detection.severity || '';
+            document.getElementById('detectionStatus').value = detection.status || 'production';
+            document.getElementById('detectionActive').checked = detection.isActive;
+
+            // Test runs decide whether the rule is validated once there are any
+            const latestRun = this.getTestRunIndex().byDetection[detection.id];
+            const validatedInput = document.getElementById('detectionValidated');
+            validatedInput.checked = this.isDetectionValidated(detection);
+            validatedInput.disabled = Boolean(latestRun);
+            const validationNote = document.getElementById('detectionValidationNote');
+            validationNote.textContent = latestRun ? `Set by the latest test run: ${latestRun.result} on ${latestRun.date}` : '';
+            validationNote.classList.toggle('hidden', !latestRun);
+            this.editingTechniques = [...detection.techniques];
+            this.openDetectionModal();
+            this.updateRoute();
+        }
+    }
+
+    deleteDetection(detectionId) {
+        const detection = this.detections.find(d => d.id === detectionId);
+        if (detection && confirm('Are you sure you want to delete this detection rule? You can undo this.')) {
+            this.trackDetectionChanges('delete', `Deleted "${detection.name}"`, () => {
+                this.detections = this.detections.filter(d => d.id !== detectionId);
+            });
+            this.saveUserData();
+            this.renderCurrentView();
+        }
+    }
+
+    // Bulk actions on the rules selected in the Detection Rules view
+    getSelectedDetections() {
+        return this.detections.filter(det => this.detectionSelection.has(det.id));
+    }
+
+    toggleDetectionSelected(detectionId, selected) {
+        if (selected) {
+            this.detectionSelection.add(detectionId);
+        } else {
+            this.detectionSelection.delete(detectionId);
+        }
+        this.renderDetectionsView();
+    }
+
+    // Selects (or unselects) every rule matching the current search and filters
+    selectFilteredDetections(selected) {
+        this.getFilteredDetections().forEach(det => {
+            if (selected) {
+                this.detectionSelection.add(det.id);
+            } else {
+                this.detectionSelection.delete(det.id);
+            }
+        });
+        this.renderDetectionsView();
+    }
+
+    clearDetectionSelection() {
+        this.detectionSelection.clear();
+        this.renderDetectionsView();
+    }
+
+    renderDetectionBulkBar(filtered = this.getFilteredDetections()) {
+        const bar = document.getElementById('detectionBulkBar');
+        if (!bar) return;
+
+        // Rules deleted or undone since they were selected drop out of the selection
+        const selected = this.getSelectedDetections();
+        this.detectionSelection = new Set(selected.map(det => det.id));
+
+        const selectAll = document.getElementById('detectionSelectAll');
+        if (selectAll) {
+            const visible = filtered.filter(det => this.detectionSelection.has(det.id)).length;
+            selectAll.indeterminate = visible > 0 && visible < filtered.length;
+        }
+
+        bar.classList.toggle('hidden', selected.length === 0);
+        if (selected.length === 0) {
+            bar.innerHTML = '';
+            return;
+        }
+
+        const hidden = selected.length - filtered.filter(det => this.detectionSelection.has(det.id)).length;
+        const options = selectId => [...document.getElementById(selectId).options].filter(option => option.value).map(option =>
+            `<option value="${this.escapeHtml(option.value)}">${this.escapeHtml(option.textContent)}</option>`
+        ).join('');
+        const techniques = [...new Set(selected.flatMap(det => det.techniques))].sort();
+
+        bar.innerHTML = `
+            <strong>${selected.length} rule${selected.length === 1 ? '' : 's'} selected</strong>
+            ${hidden > 0 ? `<span class="filter-count">${hidden} hidden by the filters</span>` : ''}
+            <button class="btn btn-secondary btn-small" data-action="bulk-set-active" data-active="true">Activate</button>
+            <button class="btn btn-secondary btn-small" data-action="bulk-set-active" data-active="false">Deactivate</button>
+            <select class="filter-select" data-action="bulk-set-field" data-field="severity">
+                <option value="">Set severity...</option>
+                ${options('detectionSeverity')}
+                <option value="none">No severity</option>
+            </select>
+            <select class="filter-select" data-action="bulk-set-field" data-field="platform">
+                <option value="">Set platform...</option>
+                ${options('detectionPlatform')}
+                <option value="none">No platform</option>
+            </select>
+            <button class="btn btn-secondary btn-small" data-action="bulk-set-owner">Set Owner...</button>
+            <button class="btn btn-secondary btn-small" data-action="bulk-add-technique">Add Technique...</button>
+            <select class="filter-select" data-action="bulk-remove-technique" ${techniques.length === 0 ? 'disabled' : ''}>
+                <option value="">Remove technique...</option>
+                ${techniques.map(id => `<option value="${this.escapeHtml(id)}">${this.escapeHtml(id)}</option>`).join('')}
+            </select>
+            <button class="btn btn-secondary btn-small" data-action="bulk-export" data-format="csv">Export CSV</button>
+            <button class="btn btn-secondary btn-small" data-action="bulk-export" data-format="xlsx">Export XLSX</button>
+            <button class="btn btn-danger btn-small" data-action="bulk-delete">Delete</button>
+            <button class="btn btn-secondary btn-small" data-action="clear-detection-selection">Clear</button>
+        `;
+    }
+
+    // Applies a change to every selected rule as one undo step, with one save and one render;
+    // getChanges returns the fields to update, or null when the rule already matches
+    updateSelectedDetections(action, label, getChanges) {
+        const updates = new Map(this.getSelectedDetections()
+            .map(det => [det.id, getChanges(det)])
+            .filter(([, changes]) => changes));
+        if (updates.size === 0) {
+            alert('Nothing to change: every selected rule already has this value.');
+            this.renderDetectionBulkBar();
+            return;
+        }
+
+        const updatedAt = new Date().toISOString();
+        this.trackDetectionChanges(action, `${label} ${updates.size} rule${updates.size === 1 ? '' : 's'}`, () => {
+            this.detections = this.detections.map(det =>
+                updates.has(det.id) ? { ...det, ...updates.get(det.id), updatedAt } : det
+            );
+        });
+        this.saveUserData();
+        this.renderCurrentView();
+    }
+
+    setSelectedDetectionsActive(isActive) {
+        this.updateSelectedDetections('toggle', isActive ? 'Activated' : 'Deactivated', det =>
+            det.isActive === isActive ? null : { isActive }
+        );
+    }
+
+    // Severity and platform; "none" clears the field
+    setSelectedDetectionsField(field, value) {
+        if (!['severity', 'platform'].includes(field) || !value) return;
+
+        const newValue = value === 'none' ? '' : value;
+        this.updateSelectedDetections('edit', `Set ${field} to ${newValue || 'none'} on`, det =>
+            (det[field] || '') === newValue ? null : { [field]: newValue }
+        );
+    }
+
+    setSelectedDetectionsOwner() {
+        const owners = [...new Set(this.getSelectedDetections().map(det => det.owner || ''))];
+        const owner = prompt('Owner of the selected rules (leave empty to clear):', owners.length === 1 ? owners[0] : '');
+        if (owner === null) return;
+
+        const newOwner = owner.trim();
+        this.updateSelectedDetections('edit', `Set owner to ${newOwner ? `"${newOwner}"` : 'none'} on`, det =>
+            (det.owner || '') === newOwner ? null : { owner: newOwner }
+        );
+    }
+
+    addTechniqueToSelectedDetections() {
+        const input = prompt('Technique ID to map to the selected rules (e.g. T1059.001):');
+        if (input === null || !input.trim()) return;
+
+        const techniqueId = input.trim().toUpperCase();
+        if (!this.techniquesById[techniqueId]) {
+            alert(`Unknown technique "${techniqueId}" - not in MITRE ATT&CK ${this.mitreVersionNumber}`);
+            return;
+        }
+
+        this.updateSelectedDetections('edit', `Mapped ${techniqueId} to`, det =>
+            det.techniques.includes(techniqueId) ? null : { techniques: [...det.techniques, techniqueId] }
+        );
+    }
+
+    removeTechniqueFromSelectedDetections(techniqueId) {
+        if (!techniqueId) return;
+
+        this.updateSelectedDetections('edit', `Unmapped ${techniqueId} from`, det =>
+            det.techniques.includes(techniqueId) ? { techniques: det.techniques.filter(id => id !== techniqueId) } : null
+        );
+    }
+
+    deleteSelectedDetections() {
+        const selected = this.getSelectedDetections();
+        if (selected.length === 0) return;
+        if (!confirm(`Delete ${selected.length} selected detection rule${selected.length === 1 ? '' : 's'}? You can undo this.`)) return;
+
+        this.trackDetectionChanges('delete', `Deleted ${selected.length} rule${selected.length === 1 ? '' : 's'}`, () => {
+            this.detections = this.detections.filter(det => !this.detectionSelection.has(det.id));
+        });
+        this.detectionSelection.clear();
+        this.saveUserData();
+        this.renderCurrentView();
+    }
+
+    openDetectionModal() {
+        document.getElementById('detectionModal').classList.add('active');
+        if (!this.editingDetectionId) {
+            document.getElementById('modalTitle').textContent = 'Add Detection Rule';
+            document.getElementById('detectionForm').reset();
+            document.getElementById('detectionValidated').disabled = false;
+            document.getElementById('detectionValidationNote').classList.add('hidden');
+            this.editingTechniques = [];
+        }
+        this.setTechniqueInputError('');
+        this.renderTechniqueTags();
+    }
+
+    closeDetectionModal() {
+        document.getElementById('detectionModal').classList.remove('active');
+        document.getElementById('detectionForm').reset();
+        this.editingDetectionId = null;
+        this.editingTechniques = [];
+        this.creatingFromSelection = false;
+        this.updateRoute();
+    }
+
+    // Technique picker in the detection modal
+    renderTechniqueTags() {
+        const container = document.getElementById('techniqueTagList');
+        container.innerHTML = this.editingTechniques.map(id => {
+            const tech = this.techniquesById[id];
+            return `
+                <span class="technique-tag ${tech ? '' : 'technique-tag-invalid'}"
+                    title="${this.escapeHtml(tech ? tech.name : 'Not in the loaded ATT&CK version')}">
+                    ${this.escapeHtml(id)}
+                    <button type="button" class="technique-tag-remove" data-action="remove-technique-tag" data-id="${this.escapeHtml(id)}" aria-label="Remove ${this.escapeHtml(id)}">&times;</button>
+                </span>
+            `;
+        }).join('');
+    }
+
+    // Accepts one or many IDs (comma or whitespace separated); returns false if any were rejected
+    addTechniqueTags(text) {
+        const ids = text.split(/[\s,;]+/).map(id => id.trim().toUpperCase()).filter(Boolean);
+        const unknown = ids.filter(id => !this.techniquesById[id]);
+
+        ids.filter(id => this.techniquesById[id] && !this.editingTechniques.includes(id))
+            .forEach(id => this.editingTechniques.push(id));
+
+        this.setTechniqueInputError(unknown.length > 0
+            ? `Unknown technique ${unknown.join(', ')} - not in MITRE ATT&CK ${this.mitreVersionNumber}`
+            : '');
+        document.getElementById('techniqueInput').value = unknown.join(', ');
+        this.renderTechniqueTags();
+        return unknown.length === 0;
+    }
+
+    removeTechniqueTag(techniqueId) {
+        this.editingTechniques = this.editingTechniques.filter(id => id !== techniqueId);
+        this.renderTechniqueTags();
+    }
+
+    setTechniqueInputError(message) {
+        const error = document.getElementById('techniqueInputError');
+        error.textContent = message;
+        error.classList.toggle('hidden', !message);
+    }
+
+    saveDetection() {
+        const name = document.getElementById('detectionName').value.trim();
+        const description = document.getElementById('detectionDescription').value.trim();
+        const product = document.getElementById('detectionProduct').value.trim();
+        const owner = document.getElementById('detectionOwner').value.trim();
+        const platform = document.getElementById('detectionPlatform').value;
+        const severity = document.getElementById('detectionSeverity').value;
+        const status = document.getElementById('detectionStatus').value;
+        const validatedInput = document.getElementById('detectionValidated');
+        const isActive = document.getElementById('detectionActive').checked;
+        const lastReviewed = document.getElementById('detectionLastReviewed').value;
+        const query = document.getElementById('detectionQuery').value.trim();
+        const tags = [...new Set(document.getElementById('detectionTags').value
+            .split(',').map(tag => tag.trim()).filter(Boolean))];
+        const references = [...new Set(document.getElementById('detectionReferences').value
+            .split('\n').map(reference => reference.trim()).filter(Boolean))];
+
+        if (!name) {
+            alert('Please enter a detection name');
+            return;
+        }
+
+        const invalidReference = references.find(reference => !this.isHttpUrl(reference));
+        if (invalidReference) {
+            alert(`"${invalidReference}" is not a valid http(s) link`);
+            return;
+        }
+
+        // Pick up an ID that was typed but not yet turned into a tag
+        const pendingTechniques = document.getElementById('techniqueInput').value;
+        if (pendingTechniques.trim() && !this.addTechniqueTags(pendingTechniques)) {
+            return;
+        }
+
+        // While test runs decide, keep the rule's own flag for when they are deleted
+        const existing = this.detections.find(d => d.id === this.editingDetectionId);
+        const validated = validatedInput.disabled && existing ? Boolean(existing.validated) : validatedInput.checked;
 
         const detection = {
             id: this.editingDetectionId || this.generateId(),
             name,
             description,
+            product,
+            owner,
             platform,
             severity,
+            status,
+            validated,
             isActive,
-            technique1,
-            technique2,
-            technique3,
+            tags,
+            query,
+            references,
+            lastReviewed,
+            techniques: [...this.editingTechniques],
             updatedAt: new Date().toISOString()
         };
 
-        if (this.editingDetectionId) {
-            const index = this.detections.findIndex(d => d.id === this.editingDetectionId);
-            if (index !== -1) {
-                this.detections[index] = detection;
+        if (this.editingDetectionId) {
+            const index = this.detections.findIndex(d => d.id === this.editingDetectionId);
+            if (index !== -1) {
+                // Keep fields the form doesn't show, such as the Sigma metadata
+                this.trackDetectionChanges('edit', `Edited "${name}"`, () => {
+                    this.detections[index] = { ...this.detections[index], ...detection };
+                });
+            }
+        } else {
+            detection.createdAt = detection.updatedAt;
+            this.trackDetectionChanges('create', `Created "${name}"`, () => this.detections.push(detection));
+        }
+
+        // The selection is kept if the new rule is cancelled
+        if (this.creatingFromSelection) {
+            this.matrixSelection.clear();
+        }
+        this.saveUserData();
+        this.closeDetectionModal();
+        this.renderCurrentView();
+    }
+
+    // Validation test runs (purple team exercises, Atomic Red Team, Caldera)
+    openTestRunModal(techniqueId = '') {
+        document.getElementById('testRunForm').reset();
+        document.getElementById('testRunTechnique').value = techniqueId;
+        document.getElementById('testRunDate').value = new Date().toISOString().split('T')[0];
+        this.renderTestRunDetectionOptions();
+        document.getElementById('testRunModal').classList.add('active');
+    }
+
+    closeTestRunModal() {
+        document.getElementById('testRunModal').classList.remove('active');
+        document.getElementById('testRunForm').reset();
+    }
+
+    // Rules that can be credited with the test: those mapped to the technique
+    renderTestRunDetectionOptions() {
+        const techniqueId = document.getElementById('testRunTechnique').value.trim().toUpperCase();
+        const select = document.getElementById('testRunDetection');
+        const current = select.value;
+        const rules = this.detections.filter(det => det.techniques.includes(techniqueId));
+
+        select.innerHTML = '<option value="">No specific rule</option>' + rules.map(det =>
+            `<option value="${this.escapeHtml(det.id)}">${this.escapeHtml(det.name)}${det.isActive ? '' : ' (inactive)'}</option>`
+        ).join('');
+        select.value = rules.some(det => det.id === current) ? current : '';
+    }
+
+    saveTestRun() {
+        const techniqueId = document.getElementById('testRunTechnique').value.trim().toUpperCase();
+        const date = document.getElementById('testRunDate').value;
+        const result = document.getElementById('testRunResult').value;
+
+        if (!this.techniquesById[techniqueId]) {
+            alert(`Unknown technique "${techniqueId}" - not in MITRE ATT&CK ${this.mitreVersionNumber}`);
+            return;
+        }
+        if (!date) {
+            alert('Please enter the date of the test');
+            return;
+        }
+        if (!this.testResults.includes(result)) {
+            alert('Please select the result of the test');
+            return;
+        }
+
+        this.testRuns.push({
+            id: this.generateId().replace(/^det_/, 'run_'),
+            techniqueId,
+            detectionId: document.getElementById('testRunDetection').value || null,
+            testId: document.getElementById('testRunTestId').value.trim(),
+            testName: document.getElementById('testRunName').value.trim(),
+            date,
+            result,
+            notes: document.getElementById('testRunNotes').value.trim(),
+            source: 'manual',
+            createdAt: new Date().toISOString()
+        });
+
+        this.saveUserData();
+        this.closeTestRunModal();
+        this.renderCurrentView();
+    }
+
+    deleteTestRun(runId) {
+        if (confirm('Are you sure you want to delete this test run?')) {
+            this.testRuns = this.testRuns.filter(run => run.id !== runId);
+            this.saveUserData();
+            this.renderCurrentView();
+        }
+    }
+
+
+    // Import/Export functionality
+    getExportSnapshot() {
+        return {
+            version: '3.1',
+            workspace: this.getWorkspace().name,
+            domain: this.settings.domain,
+            exportDate: new Date().toISOString(),
+            detections: this.detections,
+            testRuns: this.testRuns,
+            dataSources: this.dataComponentAvailability,
+            modifiers: this.techniqueModifiers,
+            exclusions: this.techniqueExclusions,
+            excludedPlatforms: this.excludedPlatforms,
+            mitigations: this.mitigationStatus,
+            snapshots: this.coverageSnapshots
+        };
+    }
+
+    exportData() {
+        const workspace = this.settings.workspace === 'default'
+            ? ''
+            : `${this.getWorkspace().name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}-`;
+        this.downloadJson(this.getExportSnapshot(), `mitre-attack-coverage-${workspace}${new Date().toISOString().split('T')[0]}.json`);
+    }
+
+    downloadJson(data, fileName) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // Coverage report
+    getReportSections() {
+        return [
+            { id: 'summary', label: 'Headline stats' },
+            { id: 'chart', label: 'Spider chart' },
+            { id: 'tactics', label: 'Coverage per tactic' },
+            { id: 'matrix', label: 'Coverage matrix' },
+            { id: 'gaps', label: 'Top uncovered techniques' },
+            { id: 'rules', label: 'Detection rule inventory' }
+        ];
+    }
+
+    openReportModal() {
+        if (this.techniques.length === 0) {
+            alert('MITRE ATT&CK data is not loaded yet.');
+            return;
+        }
+
+        document.getElementById('reportTitle').value = `${this.getAttackDomain().name} Detection Coverage Report`;
+        document.getElementById('reportTactic').innerHTML = '<option value="">All tactics</option>' + this.tactics.map(tactic =>
+            `<option value="${this.escapeHtml(tactic.shortName)}">${this.escapeHtml(tactic.name)}</option>`
+        ).join('');
+        document.getElementById('reportPlatform').innerHTML = '<option value="">All platforms</option>' + this.getAllPlatforms().map(platform =>
+            `<option value="${this.escapeHtml(platform)}">${this.escapeHtml(platform)}</option>`
+        ).join('');
+        document.getElementById('reportSections').innerHTML = this.getReportSections().map(section => `
+            <label class="checkbox-option">
+                <input type="checkbox" value="${section.id}" checked>
+                ${section.label}
+            </label>
+        `).join('');
+        document.getElementById('coverageReportModal').classList.add('active');
+    }
+
+    closeReportModal() {
+        document.getElementById('coverageReportModal').classList.remove('active');
+    }
+
+    getReportOptions() {
+        return {
+            title: document.getElementById('reportTitle').value.trim() || 'Detection Coverage Report',
+            tactic: document.getElementById('reportTactic').value,
+            platform: document.getElementById('reportPlatform').value,
+            sections: [...document.querySelectorAll('#reportSections input:checked')].map(input => input.value)
+        };
+    }
+
+    downloadReport() {
+        const options = this.getReportOptions();
+        if (options.sections.length === 0) {
+            alert('Select at least one section for the report.');
+            return;
+        }
+
+        const slug = options.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'coverage-report';
+        const blob = new Blob([this.buildReportHtml(options)], { type: 'text/html;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${slug}-${new Date().toISOString().split('T')[0]}.html`;
+        a.click();
+        URL.revokeObjectURL(url);
+        this.closeReportModal();
+    }
+
+    // Opens the report in a new window; the browser's print dialog saves it as PDF
+    printReport() {
+        const options = this.getReportOptions();
+        if (options.sections.length === 0) {
+            alert('Select at least one section for the report.');
+            return;
+        }
+
+        const reportWindow = window.open('', '_blank');
+        if (!reportWindow) {
+            alert('The report window was blocked. Allow pop-ups for this page or use Download HTML instead.');
+            return;
+        }
+        reportWindow.document.open();
+        reportWindow.document.write(this.buildReportHtml(options));
+        reportWindow.document.close();
+        reportWindow.focus();
+        // Printing before the chart image has loaded leaves it out of the report
+        if (reportWindow.document.readyState === 'complete') {
+            reportWindow.print();
+        } else {
+            reportWindow.addEventListener('load', () => reportWindow.print(), { once: true });
+        }
+        this.closeReportModal();
+    }
+
+    buildReportHtml(options) {
+        const esc = text => this.escapeHtml(String(text));
+        const tactics = options.tactic ? this.tactics.filter(tactic => tactic.shortName === options.tactic) : this.tactics;
+        const inPlatform = tech => !options.platform || tech.platforms.includes(options.platform);
+        const inScope = tech => inPlatform(tech) && tech.tactics.some(shortName => tactics.some(tactic => tactic.shortName === shortName));
+        const techniques = this.techniques.filter(inScope);
+        const techniqueIds = new Set(techniques.map(tech => tech.id));
+        const scoped = Boolean(options.tactic || options.platform);
+        const rules = this.detections
+            .filter(det => !scoped || det.techniques.some(id => techniqueIds.has(id)))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        const levelClass = coverage => `level-${this.getCoverageLevel(coverage)}`;
+        const include = id => options.sections.includes(id);
+
+        const scopeText = [
+            options.tactic ? tactics.map(tactic => tactic.name).join(', ') : 'All tactics',
+            options.platform || 'All platforms'
+        ].join(' · ');
+        const workspace = this.settings.workspace === 'default' ? '' : ` · Workspace: ${esc(this.getWorkspace().name)}`;
+
+        const sections = [];
+
+        if (include('summary')) {
+            const applicable = this.getApplicableTechniques(techniques);
+            const statusCounts = { detected: 0, 'partially detected': 0, 'not detected': 0, 'not applicable': 0 };
+            techniques.forEach(tech => { statusCounts[this.getTechniqueStatus(tech, 'detection')]++; });
+            const validated = applicable.filter(tech => this.getValidationStatus(tech) === 'validated').length;
+            const stats = [
+                ['Coverage', `${this.getCoveragePercent(techniques, 'detection').toFixed(1)}%`],
+                ['Applicable techniques', applicable.length],
+                ['Active rules', rules.filter(det => det.isActive).length],
+                ['Detected', statusCounts.detected],
+                ['Partially detected', statusCounts['partially detected']],
+                ['Not detected', statusCounts['not detected']],
+                ['Not applicable', statusCounts['not applicable']],
+                ['Validated by tests', validated]
+            ];
+            sections.push(`
+                <section>
+                    <h2>Summary</h2>
+                    <div class="stats">
+                        ${stats.map(([label, value]) => `<div class="stat"><div class="stat-value">${esc(value)}</div><div class="stat-label">${esc(label)}</div></div>`).join('')}
+                    </div>
+                </section>
+            `);
+        }
+
+        if (include('chart')) {
+            const canvas = document.createElement('canvas');
+            canvas.width = 500;
+            canvas.height = 500;
+            this.renderSpiderChart(canvas, this.techniques.filter(inPlatform), null, 'detection');
+            let image = '';
+            try {
+                image = canvas.toDataURL('image/png');
+            } catch (error) {
+                console.error('Error rendering the spider chart for the report:', error);
+            }
+            sections.push(`
+                <section>
+                    <h2>Coverage per Tactic</h2>
+                    ${image ? `<img class="chart" src="${image}" alt="Spider chart of the coverage per tactic">` : '<p class="muted">The chart could not be rendered in this browser.</p>'}
+                    ${options.platform ? `<p class="muted">All tactics, limited to ${esc(options.platform)} techniques.</p>` : ''}
+                </section>
+            `);
+        }
+
+        if (include('tactics')) {
+            sections.push(`
+                <section>
+                    <h2>Tactic Coverage</h2>
+                    <div class="cards">
+                        ${tactics.map(tactic => {
+                            const tacticTechniques = techniques.filter(tech => tech.tactics.includes(tactic.shortName));
+                            const applicable = this.getApplicableTechniques(tacticTechniques);
+                            const coverage = this.getCoveragePercent(tacticTechniques, 'detection');
+                            const detected = applicable.filter(tech => this.calculateCoverage(tech) > 0).length;
+                            return `
+                                <div class="card ${levelClass(coverage)}">
+                                    <div class="card-name">${esc(tactic.name)}</div>
+                                    <div class="card-value">${coverage.toFixed(1)}%</div>
+                                    <div class="muted">${detected} of ${applicable.length} techniques with detections</div>
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+                </section>
+            `);
+        }
+
+        if (include('matrix')) {
+            const columns = tactics.map(tactic => ({
+                tactic,
+                techniques: techniques.filter(tech => tech.tactics.includes(tactic.shortName) && !tech.isSubTechnique)
+            }));
+            const rows = Math.max(...columns.map(column => column.techniques.length), 0);
+            let body = '';
+            for (let i = 0; i < rows; i++) {
+                body += '<tr>' + columns.map(column => {
+                    const tech = column.techniques[i];
+                    if (!tech) return '<td></td>';
+                    const coverage = this.calculateCoverage(tech) * 100;
+                    const cellClass = this.isTechniqueExcluded(tech) ? 'level-excluded' : levelClass(coverage);
+                    return `<td class="${cellClass}"><strong>${esc(tech.id)}</strong><br>${esc(tech.name)}<br><span class="muted">${this.isTechniqueExcluded(tech) ? 'N/A' : `${coverage.toFixed(0)}%`}</span></td>`;
+                }).join('') + '</tr>';
+            }
+            sections.push(`
+                <section class="page-break">
+                    <h2>Coverage Matrix</h2>
+                    <table class="matrix">
+                        <thead><tr>${columns.map(column => `<th>${esc(column.tactic.name)}<br><span class="muted">${this.getCoveragePercent(column.techniques, 'detection').toFixed(0)}%</span></th>`).join('')}</tr></thead>
+                        <tbody>${body}</tbody>
+                    </table>
+                    <p class="muted">Sub-techniques are included in the coverage of their parent technique.</p>
+                </section>
+            `);
+        }
+
+        if (include('gaps')) {
+            // Ranked by how many threat groups and software use the technique, selected threats when there are any
+            const threats = this.selectedThreatActors.length > 0 ? this.getSelectedThreats() : this.threatActors;
+            const gaps = this.getApplicableTechniques(techniques)
+                .map(tech => ({
+                    tech,
+                    coverage: this.calculateCoverage(tech) * 100,
+                    usedBy: threats.filter(actor => actor.techniques.includes(tech.id)).length
+                }))
+                .filter(gap => this.getCoverageLevel(gap.coverage) !== 'high')
+                .sort((a, b) => b.usedBy - a.usedBy || a.coverage - b.coverage || a.tech.id.localeCompare(b.tech.id))
+                .slice(0, 25);
+            sections.push(`
+                <section>
+                    <h2>Top Uncovered Techniques</h2>
+                    ${gaps.length === 0 ? '<p class="muted">Every technique in scope is detected.</p>' : `
+                        <table>
+                            <thead><tr><th>ID</th><th>Name</th><th>Tactics</th><th>${this.selectedThreatActors.length > 0 ? 'Used By Selected Threats' : 'Used By Groups &amp; Software'}</th><th>Coverage</th></tr></thead>
+                            <tbody>
+                                ${gaps.map(gap => `
+                                    <tr>
+                                        <td>${esc(gap.tech.id)}</td>
+                                        <td>${esc(gap.tech.name)}</td>
+                                        <td>${esc(gap.tech.tactics.map(shortName => (this.tactics.find(tactic => tactic.shortName === shortName) || { name: shortName }).name).join(', '))}</td>
+                                        <td>${gap.usedBy}</td>
+                                        <td class="${levelClass(gap.coverage)}">${gap.coverage.toFixed(0)}%</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    `}
+                </section>
+            `);
+        }
+
+        if (include('rules')) {
+            sections.push(`
+                <section class="page-break">
+                    <h2>Detection Rule Inventory</h2>
+                    ${rules.length === 0 ? '<p class="muted">No detection rules in scope.</p>' : `
+                        <table>
+                            <thead><tr><th>Name</th><th>Techniques</th><th>Platform</th><th>Severity</th><th>Status</th><th>Owner</th><th>Active</th><th>Validated</th><th>Last Review</th></tr></thead>
+                            <tbody>
+                                ${rules.map(det => `
+                                    <tr>
+                                        <td>${esc(det.name)}${det.product ? `<br><span class="muted">${esc(det.product)}</span>` : ''}</td>
+                                        <td>${esc(det.techniques.join(', ') || '-')}</td>
+                                        <td>${esc(det.platform || '-')}</td>
+                                        <td>${esc(det.severity || '-')}</td>
+                                        <td>${esc(det.status)}</td>
+                                        <td>${esc(det.owner || '-')}</td>
+                                        <td>${det.isActive ? 'Yes' : 'No'}</td>
+                                        <td>${this.isDetectionValidated(det) ? 'Yes' : 'No'}</td>
+                                        <td>${esc(det.lastReviewed || '-')}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    `}
+                </section>
+            `);
+        }
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${esc(options.title)}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #212529; margin: 2rem; font-size: 14px; }
+    h1 { margin: 0 0 0.25rem; }
+    h2 { border-bottom: 2px solid #0066cc; padding-bottom: 0.25rem; margin-top: 2rem; }
+    .muted { color: #6c757d; font-size: 0.85em; }
+    .stats, .cards { display: grid; grid-template-columns: repeat(auto-fill, minmax(160px, 1fr)); gap: 0.75rem; }
+    .stat, .card { border: 1px solid #dee2e6; border-radius: 6px; padding: 0.75rem; break-inside: avoid; }
+    .stat-value, .card-value { font-size: 1.5rem; font-weight: 700; }
+    .stat-label, .card-name { font-weight: 600; }
+    .card { border-left-width: 5px; }
+    .chart { display: block; max-width: 100%; width: 500px; margin: 0 auto; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #dee2e6; padding: 0.35rem 0.5rem; text-align: left; vertical-align: top; }
+    th { background: #f8f9fa; }
+    tr { break-inside: avoid; }
+    .matrix { table-layout: fixed; font-size: 10px; }
+    .matrix td:empty { border: none; }
+    .level-high { background: #d1fae5; color: #065f46; border-left-color: #28a745; }
+    .level-partial { background: #fef3c7; color: #92400e; border-left-color: #ffc107; }
+    .level-low { background: #fee2e2; color: #991b1b; border-left-color: #fd7e14; }
+    .level-none { background: #fff; border-left-color: #dc3545; }
+    .level-excluded { background: #f1f5f9; color: #94a3b8; }
+    .card.level-none { color: #991b1b; }
+    * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    @media print {
+        body { margin: 0; }
+        .page-break { break-before: page; }
+    }
+</style>
+</head>
+<body>
+<header>
+    <h1>${esc(options.title)}</h1>
+    <div>MITRE ATT&amp;CK ${esc(this.getAttackDomain().name)} ${esc(this.mitreVersionNumber)}${this.mitreVersionDetails ? ` · ${esc(this.mitreVersionDetails)}` : ''}</div>
+    <div class="muted">Scope: ${esc(scopeText)}${workspace} · Generated ${esc(new Date().toLocaleString())}</div>
+</header>
+${sections.join('')}
+</body>
+</html>`;
+    }
+
+    importData(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            let data;
+            try {
+                data = JSON.parse(e.target.result);
+            } catch (error) {
+                alert('Error importing data: the file is not valid JSON.');
+                return;
+            }
+
+            try {
+                this.pendingImport = {
+                    fileName: file.name,
+                    ...this.validateImportData(data),
+                    mode: 'merge',
+                    includeSettings: true
+                };
+            } catch (error) {
+                alert(`Error importing data: ${error.message}`);
+                return;
+            }
+
+            this.pendingImport.diff = this.diffImportedDetections(this.pendingImport.detections);
+            this.renderDataImportPreview();
+            document.getElementById('dataImportModal').classList.add('active');
+        };
+        reader.readAsText(file);
+
+        // Reset file input
+        event.target.value = '';
+    }
+
+    // Checks an exported file against the export format. Whole-file problems throw;
+    // individual records or sections that do not fit are left out and reported.
+    validateImportData(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('the file is not a coverage export');
+        }
+        if (typeof data.version !== 'string' || !/^3\.\d+$/.test(data.version)) {
+            throw new Error(`unsupported file version "${data.version}" (expected 3.x)`);
+        }
+        // Files exported before domains existed are Enterprise data
+        const domain = data.domain || 'enterprise';
+        if (domain !== this.settings.domain) {
+            const name = this.attackDomains[domain] ? this.attackDomains[domain].name : domain;
+            throw new Error(`the file contains ATT&CK for ${name} data, switch to that domain before importing it`);
+        }
+        if (data.detections !== undefined && !Array.isArray(data.detections)) {
+            throw new Error('"detections" must be a list');
+        }
+
+        const issues = [];
+        const detections = [];
+        const seenIds = new Set();
+        const stringFields = ['description', 'source', 'product', 'owner', 'platform', 'severity', 'status', 'query', 'lastReviewed', 'sigmaId', 'sigmaStatus', 'sigmaFile', 'createdAt', 'updatedAt'];
+
+        (data.detections || []).forEach((det, index) => {
+            const label = det && typeof det.name === 'string' && det.name.trim() ? det.name : `Rule #${index + 1}`;
+            const problem = (() => {
+                if (!det || typeof det !== 'object' || Array.isArray(det)) return 'not an object';
+                if (typeof det.name !== 'string' || !det.name.trim()) return 'missing name';
+                if (det.id !== undefined && (typeof det.id !== 'string' || !det.id)) return 'invalid id';
+                if (det.id && seenIds.has(det.id)) return `duplicate id ${det.id}`;
+                if (det.isActive !== undefined && typeof det.isActive !== 'boolean') return '"isActive" must be true or false';
+                if (det.validated !== undefined && typeof det.validated !== 'boolean') return '"validated" must be true or false';
+                const badList = ['tags', 'references'].find(field => det[field] !== undefined &&
+                    (!Array.isArray(det[field]) || det[field].some(item => typeof item !== 'string')));
+                if (badList) return `"${badList}" must be a list of text`;
+                if (det.techniques !== undefined && (!Array.isArray(det.techniques) || det.techniques.some(id => typeof id !== 'string'))) {
+                    return '"techniques" must be a list of technique IDs';
+                }
+                const badField = stringFields.find(field => det[field] !== undefined && det[field] !== null && typeof det[field] !== 'string');
+                if (badField) return `"${badField}" must be text`;
+                return null;
+            })();
+
+            if (problem) {
+                issues.push({ item: label, issue: `Rule skipped: ${problem}` });
+                return;
+            }
+
+            const detection = this.normalizeDetection({ isActive: true, ...det, id: det.id || this.generateId() });
+            seenIds.add(detection.id);
+            detections.push(detection);
+        });
+
+        const isPlainObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+        // Test runs are imported like rules: records that do not fit are skipped
+        let testRuns = null;
+        if (Array.isArray(data.testRuns)) {
+            testRuns = [];
+            data.testRuns.forEach((run, index) => {
+                const valid = isPlainObject(run) && typeof run.id === 'string' && run.id &&
+                    typeof run.techniqueId === 'string' && typeof run.date === 'string' && this.testResults.includes(run.result) &&
+                    ['detectionId', 'testId', 'testName', 'notes', 'source', 'createdAt']
+                        .every(field => run[field] === undefined || run[field] === null || typeof run[field] === 'string');
+                if (valid) {
+                    testRuns.push(run);
+                } else {
+                    issues.push({ item: `Test run #${index + 1}`, issue: 'Test run skipped: unexpected format' });
+                }
+            });
+        } else if (data.testRuns !== undefined) {
+            issues.push({ item: 'Test runs', issue: 'Section skipped: unexpected format' });
+        }
+
+        const section = (key, label, isValid) => {
+            if (data[key] === undefined) return undefined;
+            if (isValid(data[key])) return data[key];
+            issues.push({ item: label, issue: 'Section skipped: unexpected format' });
+            return undefined;
+        };
+
+        const settings = {
+            dataSources: section('dataSources', 'Data sources', value =>
+                isPlainObject(value) && Object.values(value).every(v => typeof v === 'boolean')),
+            modifiers: section('modifiers', 'Detection rule modifiers', value =>
+                isPlainObject(value) && Object.values(value).every(v => Number.isInteger(v) && v >= 0)),
+            exclusions: section('exclusions', 'Not applicable techniques', value =>
+                isPlainObject(value) && Object.values(value).every(v => isPlainObject(v) && (v.note === undefined || typeof v.note === 'string'))),
+            excludedPlatforms: section('excludedPlatforms', 'Excluded platforms', value =>
+                Array.isArray(value) && value.every(v => typeof v === 'string')),
+            mitigations: section('mitigations', 'Mitigations', value =>
+                isPlainObject(value) && Object.values(value).every(v => isPlainObject(v) &&
+                    this.mitigationStatuses[v.status] !== undefined && (v.notes === undefined || typeof v.notes === 'string'))),
+            snapshots: section('snapshots', 'Coverage snapshots', value =>
+                Array.isArray(value) && value.every(v => isPlainObject(v) && typeof v.id === 'string' &&
+                    typeof v.takenAt === 'string' && typeof v.overall === 'number' && isPlainObject(v.tactics)))
+        };
+
+        return {
+            version: data.version,
+            exportDate: typeof data.exportDate === 'string' ? data.exportDate : null,
+            detections,
+            testRuns,
+            settings,
+            issues
+        };
+    }
+
+    // Fields that differ between two copies of a rule (bookkeeping fields ignored)
+    getChangedDetectionFields(local, incoming) {
+        const ignored = ['id', 'createdAt', 'updatedAt'];
+        const normalize = value => Array.isArray(value)
+            ? JSON.stringify([...value].sort())
+            : (value === undefined || value === null ? '' : JSON.stringify(value));
+
+        return [...new Set([...Object.keys(local), ...Object.keys(incoming)])]
+            .filter(field => !ignored.includes(field))
+            .filter(field => normalize(local[field]) !== normalize(incoming[field]));
+    }
+
+    // Classifies each imported rule against the local rule with the same id. A rule that
+    // changed on both sides since the export (local copy newer) is a conflict.
+    diffImportedDetections(detections) {
+        return detections.map(incoming => {
+            const local = this.detections.find(det => det.id === incoming.id);
+            const unknownTechniques = incoming.techniques.filter(id => !this.techniquesById[id]);
+
+            if (!local) {
+                return { status: 'new', incoming, local: null, changedFields: [], unknownTechniques, action: 'replace' };
+            }
+
+            const changedFields = this.getChangedDetectionFields(local, incoming);
+            if (changedFields.length === 0) {
+                return { status: 'unchanged', incoming, local, changedFields, unknownTechniques, action: 'keep' };
+            }
+
+            const conflict = !incoming.updatedAt || (local.updatedAt && local.updatedAt > incoming.updatedAt);
+            return conflict
+                ? { status: 'conflict', incoming, local, changedFields, unknownTechniques, action: 'keep' }
+                : { status: 'changed', incoming, local, changedFields, unknownTechniques, action: 'replace' };
+        });
+    }
+
+    renderDataImportPreview() {
+        const state = this.pendingImport;
+        const count = status => state.diff.filter(entry => entry.status === status).length;
+        const importedIds = new Set(state.detections.map(det => det.id));
+        const localOnly = this.detections.filter(det => !importedIds.has(det.id));
+        const unknownCount = state.diff.filter(entry => entry.unknownTechniques.length > 0).length;
+
+        const actionLabels = { keep: 'Keep mine', replace: 'Use imported', merge: 'Merge both' };
+        const statusClasses = { new: 'status-detected', changed: 'status-partially-detected', conflict: 'status-not-detected' };
+        const rows = state.mode === 'merge' ? state.diff.filter(entry => entry.status !== 'unchanged') : [];
+
+        let html = `
+            <p class="section-description">
+                ${this.escapeHtml(state.fileName)} &middot; format v${this.escapeHtml(state.version)}
+                ${state.exportDate ? `&middot; exported ${this.escapeHtml(new Date(state.exportDate).toLocaleString())}` : ''}
+            </p>
+            <div class="import-mode">
+                <label><input type="radio" name="importMode" value="merge" ${state.mode === 'merge' ? 'checked' : ''}>
+                    Merge into my data</label>
+                <label><input type="radio" name="importMode" value="replace" ${state.mode === 'replace' ? 'checked' : ''}>
+                    Replace all my data with the file</label>
+                <label><input type="checkbox" id="importSettingsToggle" ${state.includeSettings ? 'checked' : ''}>
+                    Include data sources, modifiers, exclusions, mitigations and snapshots</label>
+            </div>
+            <p class="import-summary">
+                <strong>${count('new')}</strong> new,
+                <strong>${count('changed')}</strong> changed,
+                <strong>${count('conflict')}</strong> conflicting,
+                <strong>${count('unchanged')}</strong> unchanged
+                ${state.testRuns && state.testRuns.length > 0 ? `&middot; <strong>${state.testRuns.length}</strong> test runs` : ''}
+                ${unknownCount > 0 ? `&middot; <strong>${unknownCount}</strong> rules reference techniques not in ATT&CK ${this.escapeHtml(this.mitreVersionNumber)}` : ''}
+            </p>
+        `;
+
+        if (state.mode === 'replace') {
+            html += `
+                <div class="alert alert-danger">
+                    ${localOnly.length} of your ${this.detections.length} detection rules are not in the file and will be removed.
+                    A backup is kept and can be restored from Settings.
+                </div>
+            `;
+        }
+
+        if (state.issues.length > 0) {
+            html += `
+                <h3>Skipped</h3>
+                <div class="data-table-container import-issues">
+                    <table class="data-table">
+                        <thead><tr><th>Item</th><th>Issue</th></tr></thead>
+                        <tbody>
+                            ${state.issues.map(issue => `
+                                <tr>
+                                    <td>${this.escapeHtml(issue.item)}</td>
+                                    <td>${this.escapeHtml(issue.issue)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        }
+
+        if (rows.length > 0) {
+            html += `
+                <h3>Detection Rules</h3>
+                <div class="data-table-container import-issues">
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th>Status</th>
+                                <th>Rule</th>
+                                <th>Details</th>
+                                <th>Action</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(entry => {
+                                const index = state.diff.indexOf(entry);
+                                const details = [];
+                                if (entry.changedFields.length > 0) details.push(`Changed: ${entry.changedFields.join(', ')}`);
+                                if (entry.unknownTechniques.length > 0) details.push(`Unknown techniques: ${entry.unknownTechniques.join(', ')}`);
+                                return `
+                                    <tr>
+                                        <td><span class="status-badge ${statusClasses[entry.status]}">${entry.status}</span></td>
+                                        <td>${this.escapeHtml(entry.incoming.name)}</td>
+                                        <td>${this.escapeHtml(details.join(' · ') || '-')}</td>
+                                        <td>
+                                            ${entry.status === 'new' ? 'Add' : `
+                                                <select data-diff-index="${index}">
+                                                    ${Object.entries(actionLabels).map(([value, label]) => `
+                                                        <option value="${value}" ${entry.action === value ? 'selected' : ''}>${label}</option>
+                                                    `).join('')}
+                                                </select>
+                                            `}
+                                        </td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        }
+
+        document.getElementById('dataImportBody').innerHTML = html;
+    }
+
+    updateDataImportOption(input) {
+        const state = this.pendingImport;
+        if (!state) return;
+
+        if (input.name === 'importMode') {
+            state.mode = input.value;
+        } else if (input.id === 'importSettingsToggle') {
+            state.includeSettings = input.checked;
+        } else if (input.dataset.diffIndex !== undefined) {
+            state.diff[parseInt(input.dataset.diffIndex, 10)].action = input.value;
+            return;
+        }
+        this.renderDataImportPreview();
+    }
+
+    applyDataImport() {
+        const state = this.pendingImport;
+        if (!state) return;
+
+        if (!this.createBackup(`Before importing ${state.fileName}`)) {
+            alert('Could not store a backup of your current data (browser storage is full). Export your data first, then try again.');
+            return;
+        }
+
+        const settings = state.settings;
+        const now = new Date().toISOString();
+
+        // Settings and test runs are not part of the undo step, only the rules
+        this.trackDetectionChanges('import', `Imported ${state.fileName}`, () => {
+            if (state.mode === 'replace') {
+                this.detections = state.detections;
+                if (state.testRuns) this.testRuns = state.testRuns;
+                if (state.includeSettings) {
+                    if (settings.dataSources) this.dataComponentAvailability = settings.dataSources;
+                    if (settings.modifiers) this.techniqueModifiers = settings.modifiers;
+                    if (settings.exclusions) this.techniqueExclusions = settings.exclusions;
+                    if (settings.excludedPlatforms) this.excludedPlatforms = settings.excludedPlatforms;
+                    if (settings.mitigations) this.mitigationStatus = settings.mitigations;
+                    if (settings.snapshots) this.coverageSnapshots = settings.snapshots;
+                }
+            } else {
+                state.diff.forEach(entry => {
+                    if (entry.status === 'new') {
+                        this.detections.push(entry.incoming);
+                        return;
+                    }
+
+                    const index = this.detections.indexOf(entry.local);
+                    if (entry.action === 'replace') {
+                        this.detections[index] = entry.incoming;
+                    } else if (entry.action === 'merge') {
+                        // Imported values win where they are set; techniques from both copies are kept
+                        const merged = { ...entry.local };
+                        Object.entries(entry.incoming).forEach(([field, value]) => {
+                            if (value !== undefined && value !== null && value !== '') merged[field] = value;
+                        });
+                        merged.techniques = [...new Set([...entry.local.techniques, ...entry.incoming.techniques])];
+                        merged.createdAt = entry.local.createdAt || entry.incoming.createdAt;
+                        merged.updatedAt = now;
+                        this.detections[index] = merged;
+                    }
+                });
+
+                if (state.testRuns) {
+                    const known = new Set(this.testRuns.map(run => run.id));
+                    this.testRuns = [...this.testRuns, ...state.testRuns.filter(run => !known.has(run.id))];
+                }
+
+                if (state.includeSettings) {
+                    if (settings.dataSources) Object.assign(this.dataComponentAvailability, settings.dataSources);
+                    if (settings.modifiers) Object.assign(this.techniqueModifiers, settings.modifiers);
+                    if (settings.exclusions) Object.assign(this.techniqueExclusions, settings.exclusions);
+                    if (settings.excludedPlatforms) {
+                        this.excludedPlatforms = [...new Set([...this.excludedPlatforms, ...settings.excludedPlatforms])];
+                    }
+                    if (settings.mitigations) Object.assign(this.mitigationStatus, settings.mitigations);
+                    if (settings.snapshots) {
+                        const known = new Set(this.coverageSnapshots.map(snapshot => snapshot.id));
+                        this.coverageSnapshots = [...this.coverageSnapshots, ...settings.snapshots.filter(snapshot => !known.has(snapshot.id))]
+                            .sort((a, b) => a.takenAt.localeCompare(b.takenAt));
+                    }
+                }
+            }
+        });
+
+        this.saveUserData();
+        this.closeDataImport();
+        this.renderCurrentView();
+        alert('Data imported successfully! The previous state can be restored from Settings > Backups.');
+    }
+
+    closeDataImport() {
+        document.getElementById('dataImportModal').classList.remove('active');
+        this.pendingImport = null;
+    }
+
+    // Automatic backups taken before an import or restore (newest first)
+    getBackups() {
+        try {
+            return JSON.parse(this.storageGet(this.getStorageKey('backups'))) || [];
+        } catch (e) {
+            console.error('Error parsing saved backups:', e);
+            return [];
+        }
+    }
+
+    // Frees storage by removing the oldest backup, always keeping the newest one
+    dropOldestBackup() {
+        const backups = this.getBackups();
+        if (backups.length <= 1) return false;
+
+        this.storageSet(this.getStorageKey('backups'), JSON.stringify(backups.slice(0, -1)));
+        return true;
+    }
+
+    createBackup(reason) {
+        const backups = [{
+            id: this.generateId().replace(/^det_/, 'bak_'),
+            createdAt: new Date().toISOString(),
+            reason,
+            data: this.getExportSnapshot()
+        }, ...this.getBackups()].slice(0, this.maxBackups);
+
+        // Drop the oldest backups until the new one fits in localStorage; IndexedDB writes
+        // fail later, and flushStorageWrites drops old backups then
+        while (backups.length > 0) {
+            try {
+                this.storageSet(this.getStorageKey('backups'), JSON.stringify(backups));
+                return true;
+            } catch (e) {
+                backups.pop();
+            }
+        }
+        return false;
+    }
+
+    restoreBackup(backupId) {
+        const backup = this.getBackups().find(b => b.id === backupId);
+        if (!backup) return;
+
+        if (!confirm(`Restore the backup from ${new Date(backup.createdAt).toLocaleString()}? Your current data is backed up first.`)) {
+            return;
+        }
+        if (!this.createBackup(`Before restoring the backup from ${new Date(backup.createdAt).toLocaleString()}`)) {
+            alert('Could not store a backup of your current data (browser storage is full).');
+            return;
+        }
+
+        const data = backup.data;
+        this.trackDetectionChanges('restore', `Restored the backup from ${new Date(backup.createdAt).toLocaleString()}`, () => {
+            this.detections = (data.detections || []).map(det => this.normalizeDetection(det));
+        });
+        this.testRuns = data.testRuns || [];
+        this.dataComponentAvailability = data.dataSources || {};
+        this.techniqueModifiers = data.modifiers || {};
+        this.techniqueExclusions = data.exclusions || {};
+        this.excludedPlatforms = data.excludedPlatforms || [];
+        this.mitigationStatus = data.mitigations || {};
+        this.coverageSnapshots = data.snapshots || [];
+
+        this.saveUserData();
+        this.renderCurrentView();
+    }
+
+    downloadBackup(backupId) {
+        const backup = this.getBackups().find(b => b.id === backupId);
+        if (backup) {
+            this.downloadJson(backup.data, `mitre-attack-backup-${backup.createdAt.split('T')[0]}.json`);
+        }
+    }
+
+    renderBackups() {
+        const container = document.getElementById('backupsTable');
+        if (!container) return;
+
+        const backups = this.getBackups();
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Created</th>
+                        <th>Reason</th>
+                        <th>Detection Rules</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${backups.length === 0 ? '<tr><td colspan="4" class="empty-state">No backups yet. One is taken automatically before every import.</td></tr>' : ''}
+                    ${backups.map(backup => `
+                        <tr>
+                            <td>${new Date(backup.createdAt).toLocaleString()}</td>
+                            <td>${this.escapeHtml(backup.reason)}</td>
+                            <td>${(backup.data.detections || []).length}</td>
+                            <td>
+                                <div class="action-buttons">
+                                    <button class="btn btn-secondary btn-small" data-action="restore-backup" data-id="${this.escapeHtml(backup.id)}">Restore</button>
+                                    <button class="btn btn-secondary btn-small" data-action="download-backup" data-id="${this.escapeHtml(backup.id)}">Download</button>
+                                </div>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // ATT&CK Navigator layer export/import
+    exportNavigatorLayer() {
+        const attackVersion = (this.mitreVersionNumber || '').replace(/^v/, '').split('.')[0];
+        const platforms = [...new Set(this.techniques.flatMap(tech => tech.platforms))].sort();
+        const activeDetections = this.detections.filter(d => d.isActive);
+
+        const techniques = [];
+        this.techniques.forEach(tech => {
+            const rules = this.getActiveDetectionsForTechnique(tech.id);
+            const score = Math.round(this.calculateCoverage(tech) * 100);
+            const hasDetectedSubTechnique = !tech.isSubTechnique && this.techniques.some(sub =>
+                sub.parentId === tech.id && this.getTechniqueStatus(sub, 'detection') === 'detected'
+            );
+
+            // Navigator scores a technique separately under every tactic it belongs to
+            tech.tactics.forEach(tactic => {
+                techniques.push({
+                    techniqueID: tech.id,
+                    tactic: tactic,
+                    score: score,
+                    color: score >= 100 ? '#8ec843' : score > 0 ? '#ffe766' : '#ff6666',
+                    comment: this.isTechniqueExcluded(tech)
+                        ? `Not applicable: ${this.getExclusionReason(tech)}`
+                        : rules.length > 0
+                            ? `${rules.length} active detection rule${rules.length === 1 ? '' : 's'}`
+                            : 'No active detection rules',
+                    enabled: !this.isTechniqueExcluded(tech),
+                    metadata: rules.map(rule => ({ name: 'Detection rule', value: rule.name })),
+                    links: [],
+                    showSubtechniques: hasDetectedSubTechnique
+                });
+            });
+        });
+
+        const layer = {
+            name: 'Detection Coverage',
+            versions: {
+                attack: attackVersion || '16',
+                navigator: '5.1.0',
+                layer: '4.5'
+            },
+            domain: this.getAttackDomain().bundle,
+            description: `Detection coverage exported from the MITRE ATT&CK Coverage Tracker on ${new Date().toLocaleDateString()}`,
+            filters: { platforms: platforms },
+            sorting: 0,
+            layout: {
+                layout: 'side',
+                aggregateFunction: 'average',
+                showID: true,
+                showName: true,
+                showAggregateScores: false,
+                countUnscored: false,
+                expandedSubtechniques: 'annotated'
+            },
+            hideDisabled: false,
+            techniques: techniques,
+            gradient: {
+                colors: ['#ff6666ff', '#ffe766ff', '#8ec843ff'],
+                minValue: 0,
+                maxValue: 100
+            },
+            legendItems: [
+                { label: 'Detected', color: '#8ec843' },
+                { label: 'Partially detected', color: '#ffe766' },
+                { label: 'Not detected', color: '#ff6666' }
+            ],
+            metadata: [
+                { name: 'ATT&CK version', value: this.mitreVersionNumber },
+                { name: 'Active detection rules', value: String(activeDetections.length) },
+                { divider: true },
+                ...activeDetections.map(det => ({ name: 'Detection rule', value: det.name }))
+            ],
+            links: [],
+            showTacticRowBackground: false,
+            tacticRowBackground: '#dddddd',
+            selectTechniquesAcrossTactics: true,
+            selectSubtechniquesWithParent: false,
+            selectVisibleTechniques: false
+        };
+
+        const blob = new Blob([JSON.stringify(layer, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `mitre-attack-layer-${new Date().toISOString().split('T')[0]}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    importNavigatorLayer(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const layer = JSON.parse(e.target.result);
+                if (!layer || !Array.isArray(layer.techniques)) {
+                    throw new Error('File is not an ATT&CK Navigator layer');
+                }
+                if (layer.domain && layer.domain !== this.getAttackDomain().bundle) {
+                    throw new Error(`Layer is for the ${layer.domain} domain, switch to that domain before importing it`);
+                }
+
+                // Keep the annotated entries only: Navigator lists every technique it has seen
+                const techniques = layer.techniques
+                    .filter(entry => entry && typeof entry.techniqueID === 'string' && entry.enabled !== false)
+                    .map(entry => ({
+                        techniqueID: entry.techniqueID.trim().toUpperCase(),
+                        tactic: entry.tactic || null,
+                        score: typeof entry.score === 'number' ? entry.score : null,
+                        color: /^#[0-9a-f]{3,8}$/i.test(entry.color || '') ? entry.color : '',
+                        comment: entry.comment || ''
+                    }))
+                    .filter(entry => entry.score !== null || entry.color || entry.comment);
+
+                this.navigatorLayer = {
+                    name: String(layer.name || file.name),
+                    description: String(layer.description || ''),
+                    mode: 'comparison',
+                    importedAt: new Date().toISOString(),
+                    techniques: techniques
+                };
+
+                this.saveUserData();
+                this.switchView('coverage');
+            } catch (error) {
+                console.error('Error importing Navigator layer:', error);
+                alert(`Error importing Navigator layer: ${error.message}`);
+            }
+        };
+        reader.readAsText(file);
+
+        // Reset file input
+        event.target.value = '';
+    }
+
+    // Sigma rule import
+    async importSigmaRules(event) {
+        const files = [...event.target.files];
+        if (files.length === 0) return;
+
+        // Reset file input
+        event.target.value = '';
+
+        this.showLoading(true);
+        const report = { created: 0, updated: 0, skipped: 0, issues: [] };
+
+        try {
+            const documents = [];
+            for (const file of files) {
+                if (/\.zip$/i.test(file.name)) {
+                    const entries = await this.readZipEntries(await file.arrayBuffer());
+                    entries
+                        .filter(entry => /\.ya?ml$/i.test(entry.name))
+                        .forEach(entry => documents.push({
+                            file: `${file.name}/${entry.name}`,
+                            text: new TextDecoder().decode(entry.data)
+                        }));
+                } else if (/\.ya?ml$/i.test(file.name)) {
+                    documents.push({ file: file.webkitRelativePath || file.name, text: await file.text() });
+                }
+            }
+
+            const label = `Imported Sigma rules from ${files.length === 1 ? files[0].name : `${files.length} files`}`;
+            this.trackDetectionChanges('import', label, () => {
+                documents.forEach(doc => {
+                    // A file may hold several rules separated by "---"
+                    doc.text.split(/^---\s*$/m).filter(part => part.trim()).forEach(part => {
+                        let rule;
+                        try {
+                            rule = this.parseYaml(part);
+                        } catch (error) {
+                            report.skipped++;
+                            report.issues.push({ file: doc.file, rule: '-', issue: `Could not parse YAML: ${error.message}` });
+                            return;
+                        }
+
+                        if (!rule || typeof rule !== 'object' || !rule.title) {
+                            // Sigma collections start with an "action: global" document without a title
+                            if (!rule || rule.action === undefined) {
+                                report.skipped++;
+                                report.issues.push({ file: doc.file, rule: '-', issue: 'Not a Sigma rule (no title)' });
+                            }
+                            return;
+                        }
+
+                        this.applySigmaRule(rule, doc.file, report, part);
+                    });
+                });
+            });
+
+            if (report.created + report.updated > 0) {
+                this.saveUserData();
+                this.renderCurrentView();
+            }
+        } catch (error) {
+            console.error('Error importing Sigma rules:', error);
+            report.issues.push({ file: '-', rule: '-', issue: `Import failed: ${error.message}` });
+        }
+
+        this.showLoading(false);
+        this.showImportReport('Sigma Import', report);
+    }
+
+    applySigmaRule(rule, file, report, text) {
+        const tags = (Array.isArray(rule.tags) ? rule.tags : []).map(tag => String(tag).trim());
+        const techniqueIds = [...new Set(tags
+            .filter(tag => /^attack\.t\d{4}(\.\d{3})?$/i.test(tag))
+            .map(tag => tag.substring('attack.'.length).toUpperCase()))];
+
+        const techniques = [];
+        techniqueIds.forEach(id => {
+            if (this.techniquesById[id]) {
+                techniques.push(id);
+            } else if (this.retiredTechniques[id]) {
+                report.issues.push({ file, rule: rule.title, issue: `Technique ${id} is ${this.retiredTechniques[id].reason} in ATT&CK ${this.mitreVersionNumber}` });
+            } else {
+                report.issues.push({ file, rule: rule.title, issue: `Unknown technique ${id}` });
+            }
+        });
+        if (techniqueIds.length === 0) {
+            report.issues.push({ file, rule: rule.title, issue: 'No ATT&CK technique tags' });
+        }
+
+        const logsource = rule.logsource && typeof rule.logsource === 'object' ? rule.logsource : {};
+        const status = String(rule.status || '').toLowerCase();
+        const sigmaId = rule.id ? String(rule.id) : null;
+        const now = new Date().toISOString();
+        const statuses = { stable: 'production', test: 'testing', experimental: 'in development', deprecated: 'retired', unsupported: 'retired' };
+
+        // The detection block is kept as written, as the rule's query
+        const detectionBlock = text.match(/^(logsource|detection):[^\n]*\n(?:(?:[ \t]+[^\n]*|[ \t]*)(?:\n|$))*/gm) || [];
+        const reviewed = rule.modified || rule.date;
+
+        const fields = {
+            name: String(rule.title),
+            description: rule.description ? String(rule.description).trim() : '',
+            platform: this.mapSigmaProduct(logsource.product),
+            severity: this.mapSigmaLevel(rule.level),
+            status: statuses[status] || 'in development',
+            owner: rule.author ? String(rule.author) : '',
+            tags: tags.filter(tag => !/^attack\./i.test(tag)),
+            query: detectionBlock.join('').trim(),
+            references: (Array.isArray(rule.references) ? rule.references : []).map(String).filter(reference => this.isHttpUrl(reference)),
+            lastReviewed: reviewed ? this.parseSpreadsheetDate(String(reviewed)) : '',
+            techniques,
+            sigmaTechniques: techniques,
+            sigmaId,
+            sigmaStatus: status || null,
+            sigmaFile: file,
+            updatedAt: now
+        };
+
+        // Re-importing a rule updates it in place instead of creating a duplicate
+        const existing = sigmaId ? this.detections.find(det => det.sigmaId === sigmaId) : null;
+        if (existing) {
+            // Keep techniques mapped outside the rule's tags (matrix attaches, bulk adds, remaps)
+            const previous = Array.isArray(existing.techniques) ? existing.techniques : [];
+            (existing.sigmaTechniques || []).filter(id => previous.includes(id) && !techniques.includes(id)).forEach(id => {
+                report.issues.push({ file, rule: rule.title, issue: `Technique ${id} is no longer tagged; existing mapping kept` });
+            });
+            // Lifecycle fields belong to the tracker once the rule exists, so they are only filled in when empty
+            ['status', 'owner', 'tags', 'references', 'lastReviewed'].forEach(field => {
+                const value = existing[field];
+                if (Array.isArray(value) ? value.length : value) {
+                    delete fields[field];
+                }
+            });
+            Object.assign(existing, fields, { techniques: [...new Set([...previous, ...techniques])] });
+            if (status === 'deprecated' || status === 'unsupported') {
+                existing.isActive = false;
+            }
+            report.updated++;
+        } else {
+            this.detections.push(this.normalizeDetection({
+                id: this.generateId(),
+                ...fields,
+                isActive: status !== 'deprecated' && status !== 'unsupported',
+                createdAt: now
+            }));
+            report.created++;
+        }
+    }
+
+    mapSigmaLevel(level) {
+        const levels = { critical: 'Critical', high: 'High', medium: 'Medium', low: 'Low', informational: 'Low' };
+        return levels[String(level || '').toLowerCase()] || '';
+    }
+
+    mapSigmaProduct(product) {
+        const value = String(product || '').toLowerCase();
+        let platform = '';
+        if (value === 'windows') platform = 'Windows';
+        else if (value === 'linux') platform = 'Linux';
+        else if (value === 'macos') platform = 'macOS';
+        else if (['aws', 'azure', 'gcp', 'm365', 'okta', 'onelogin', 'google_workspace', 'github', 'kubernetes', 'cloud'].includes(value)) platform = 'Cloud';
+        else if (['cisco', 'juniper', 'fortios', 'paloalto', 'zeek', 'huawei', 'network'].includes(value)) platform = 'Network';
+        return this.getAttackDomain().platforms.includes(platform) ? platform : '';
+    }
+
+    showImportReport(title, report) {
+        document.getElementById('importReportTitle').textContent = title;
+
+        let html = `
+            <p class="import-summary">
+                <strong>${report.created}</strong> created,
+                <strong>${report.updated}</strong> updated,
+                <strong>${report.skipped}</strong> skipped
+            </p>
+        `;
+
+        if (report.issues.length > 0) {
+            html += `
+                <div class="data-table-container import-issues">
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th>Location</th>
+                                <th>Rule</th>
+                                <th>Issue</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${report.issues.map(issue => `
+                                <tr>
+                                    <td>${this.escapeHtml(issue.file)}</td>
+                                    <td>${this.escapeHtml(issue.rule)}</td>
+                                    <td>${this.escapeHtml(issue.issue)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        }
+
+        document.getElementById('importReportBody').innerHTML = html;
+        document.getElementById('importReportModal').classList.add('active');
+    }
+
+    // CSV/XLSX import of detection rules (e.g. the workbook's "Detection Rules" sheet)
+    async loadSpreadsheetFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        // Reset file input
+        event.target.value = '';
+
+        try {
+            let sheets;
+            if (/\.xlsx$/i.test(file.name)) {
+                sheets = await this.readXlsxSheets(await file.arrayBuffer());
+            } else {
+                sheets = [{ name: file.name, rows: this.parseCsv(await file.text()) }];
+            }
+
+            sheets = sheets.filter(sheet => sheet.rows.length > 0);
+            if (sheets.length === 0) {
+                alert('The file does not contain any rows.');
+                return;
+            }
+
+            const preferred = sheets.findIndex(sheet => /detection/i.test(sheet.name));
+            this.spreadsheetImport = { fileName: file.name, sheets, sheetIndex: 0, mapping: {} };
+
+            const sheetSelect = document.getElementById('spreadsheetSheet');
+            sheetSelect.innerHTML = sheets.map((sheet, index) =>
+                `<option value="${index}">${this.escapeHtml(sheet.name)}</option>`
+            ).join('');
+            document.getElementById('spreadsheetSheetGroup').classList.toggle('hidden', sheets.length < 2);
+            document.getElementById('spreadsheetFileName').textContent = file.name;
+
+            this.selectSpreadsheetSheet(preferred === -1 ? 0 : preferred);
+            document.getElementById('spreadsheetImportModal').classList.add('active');
+        } catch (error) {
+            console.error('Error reading spreadsheet:', error);
+            alert(`Error reading spreadsheet: ${error.message}`);
+        }
+    }
+
+    getSpreadsheetFields() {
+        return [
+            { key: 'name', label: 'Name *', pattern: /^(name|use ?case|rule ?name|title|detection ?name)$/i },
+            { key: 'description', label: 'Description', pattern: /description/i },
+            { key: 'product', label: 'Product', pattern: /^(source|siem|product|tool)$/i },
+            { key: 'owner', label: 'Owner', pattern: /^(owner|author|team)$/i },
+            { key: 'platform', label: 'Platform', pattern: /^platforms?$/i },
+            { key: 'severity', label: 'Severity', pattern: /^(severity|level|priority)$/i },
+            { key: 'status', label: 'Status', pattern: /^(status|lifecycle|stage)$/i },
+            { key: 'isActive', label: 'Is Active', pattern: /^(is ?active|active|enabled)$/i },
+            { key: 'tags', label: 'Tags', pattern: /^(tags?|labels?)$/i },
+            { key: 'query', label: 'Query', pattern: /^(query|search|kql|spl|rule ?logic)$/i },
+            { key: 'references', label: 'References', pattern: /^(references?|links?|urls?)$/i },
+            { key: 'lastReviewed', label: 'Last Review', pattern: /^(last ?review(ed)?( date)?|review(ed)?( date)?)$/i },
+            { key: 'techniques', label: 'Techniques', pattern: /^(attack ?\d+|techniques?( ids?)?|mitre|att&ck)$/i, multiple: true }
+        ];
+    }
+
+    selectSpreadsheetSheet(index) {
+        const state = this.spreadsheetImport;
+        state.sheetIndex = index;
+        document.getElementById('spreadsheetSheet').value = String(index);
+
+        // Guess the mapping from the header row
+        const headers = state.sheets[index].rows[0].map(header => String(header).trim());
+        state.mapping = {};
+        this.getSpreadsheetFields().forEach(field => {
+            const columns = headers
+                .map((header, column) => field.pattern.test(header) ? column : -1)
+                .filter(column => column !== -1);
+            state.mapping[field.key] = field.multiple ? columns : (columns.length > 0 ? columns[0] : -1);
+        });
+
+        this.renderSpreadsheetMapping();
+        this.renderSpreadsheetPreview();
+    }
+
+    renderSpreadsheetMapping() {
+        const state = this.spreadsheetImport;
+        const headers = state.sheets[state.sheetIndex].rows[0]
+            .map((header, column) => String(header).trim() || `Column ${column + 1}`);
+
+        document.getElementById('spreadsheetMapping').innerHTML = this.getSpreadsheetFields().map(field => {
+            if (field.multiple) {
+                return `
+                    <div class="form-group">
+                        <label>${field.label}</label>
+                        <div class="checkbox-list column-mapping-columns">
+                            ${headers.map((header, column) => `
+                                <label class="checkbox-option">
+                                    <input type="checkbox" data-field="${field.key}" value="${column}"
+                                        ${state.mapping[field.key].includes(column) ? 'checked' : ''}>
+                                    ${this.escapeHtml(header)}
+                                </label>
+                            `).join('')}
+                        </div>
+                    </div>
+                `;
             }
+            return `
+                <div class="form-group">
+                    <label>${field.label}</label>
+                    <select data-field="${field.key}">
+                        <option value="-1">(not imported)</option>
+                        ${headers.map((header, column) => `
+                            <option value="${column}" ${state.mapping[field.key] === column ? 'selected' : ''}>${this.escapeHtml(header)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            `;
+        }).join('');
+    }
+
+    updateSpreadsheetMapping(input) {
+        const field = input.dataset.field;
+        if (!field || !this.spreadsheetImport) return;
+
+        const mapping = this.spreadsheetImport.mapping;
+        const column = parseInt(input.value, 10);
+        if (input.type === 'checkbox') {
+            mapping[field] = input.checked
+                ? [...mapping[field], column].sort((a, b) => a - b)
+                : mapping[field].filter(c => c !== column);
         } else {
-            detection.createdAt = detection.updatedAt;
-            this.detections.push(detection);
+            mapping[field] = column;
         }
 
+        this.renderSpreadsheetPreview();
+    }
+
+    // Turns the data rows into detections using the current mapping; rows with
+    // errors are skipped, rows with warnings are imported as far as possible
+    buildSpreadsheetDetections() {
+        const state = this.spreadsheetImport;
+        const mapping = state.mapping;
+        const rows = state.sheets[state.sheetIndex].rows;
+        const platforms = this.getAttackDomain().platforms;
+        const severities = ['Critical', 'High', 'Medium', 'Low'];
+
+        const cell = (row, column) => column >= 0 && row[column] !== undefined ? String(row[column]).trim() : '';
+        const pick = (value, options) => options.find(option => option.toLowerCase() === value.toLowerCase());
+
+        return rows.slice(1).map((row, index) => {
+            const result = { row: index + 2, errors: [], warnings: [], detection: null };
+            if (row.every(value => String(value).trim() === '')) return null;
+
+            const name = cell(row, mapping.name);
+            if (!name) {
+                result.errors.push('Missing name');
+            }
+
+            let isActive = true;
+            if (mapping.isActive >= 0) {
+                const value = cell(row, mapping.isActive).toLowerCase();
+                if (['yes', 'y', 'true', '1', 'x', 'active', 'enabled', 'on'].includes(value)) {
+                    isActive = true;
+                } else if (['', 'no', 'n', 'false', '0', 'inactive', 'disabled', 'off'].includes(value)) {
+                    isActive = false;
+                } else {
+                    isActive = false;
+                    result.warnings.push(`Unrecognised active value "${value}", imported as inactive`);
+                }
+            }
+
+            const platformValue = cell(row, mapping.platform);
+            const platform = platformValue ? pick(platformValue, platforms) || '' : '';
+            if (platformValue && !platform) {
+                result.warnings.push(`Unknown platform "${platformValue}"`);
+            }
+
+            const severityValue = cell(row, mapping.severity);
+            const severity = severityValue ? pick(severityValue, severities) || this.mapSigmaLevel(severityValue) : '';
+            if (severityValue && !severity) {
+                result.warnings.push(`Unknown severity "${severityValue}"`);
+            }
+
+            const statusValue = cell(row, mapping.status);
+            const status = statusValue ? pick(statusValue, this.ruleStatuses) || '' : 'production';
+            if (statusValue && !status) {
+                result.warnings.push(`Unknown status "${statusValue}", imported as production`);
+            }
+
+            const references = cell(row, mapping.references).split(/[\s,;]+/).filter(Boolean);
+            references.filter(reference => !this.isHttpUrl(reference)).forEach(reference => {
+                result.warnings.push(`Ignored reference "${reference}" (not an http(s) link)`);
+            });
+
+            const reviewValue = cell(row, mapping.lastReviewed);
+            const lastReviewed = reviewValue ? this.parseSpreadsheetDate(reviewValue) : '';
+            if (reviewValue && !lastReviewed) {
+                result.warnings.push(`Unrecognised review date "${reviewValue}"`);
+            }
+
+            // Cells hold either bare IDs or the workbook's "Name (T1234.001)" labels
+            const techniques = [];
+            mapping.techniques.forEach(column => {
+                const value = cell(row, column);
+                if (!value) return;
+
+                const ids = (value.match(/\bT\d{4}(?:\.\d{3})?\b/gi) || []).map(id => id.toUpperCase());
+                if (ids.length === 0) {
+                    result.warnings.push(`No technique ID in "${value}"`);
+                }
+                ids.forEach(id => {
+                    if (this.techniquesById[id]) {
+                        if (!techniques.includes(id)) techniques.push(id);
+                    } else if (this.retiredTechniques[id]) {
+                        result.warnings.push(`Technique ${id} is ${this.retiredTechniques[id].reason} in ATT&CK ${this.mitreVersionNumber}`);
+                    } else {
+                        result.warnings.push(`Unknown technique ${id}`);
+                    }
+                });
+            });
+
+            if (result.errors.length === 0) {
+                result.detection = {
+                    name,
+                    description: cell(row, mapping.description),
+                    product: cell(row, mapping.product),
+                    owner: cell(row, mapping.owner),
+                    platform,
+                    severity,
+                    status: status || 'production',
+                    isActive,
+                    tags: cell(row, mapping.tags).split(/[,;]/).map(tag => tag.trim()).filter(Boolean),
+                    query: cell(row, mapping.query),
+                    references: references.filter(reference => this.isHttpUrl(reference)),
+                    lastReviewed,
+                    techniques
+                };
+            }
+            return result;
+        }).filter(Boolean);
+    }
+
+    renderSpreadsheetPreview() {
+        const results = this.buildSpreadsheetDetections();
+        const ready = results.filter(result => result.detection);
+        const withIssues = results.filter(result => result.errors.length + result.warnings.length > 0);
+
+        document.getElementById('spreadsheetSummary').innerHTML = `
+            <strong>${ready.length}</strong> rules ready to import,
+            <strong>${results.length - ready.length}</strong> rows skipped,
+            <strong>${withIssues.length}</strong> rows with issues
+        `;
+        document.getElementById('confirmSpreadsheetImportBtn').disabled = ready.length === 0;
+
+        const previewRows = ready.slice(0, 10);
+        document.getElementById('spreadsheetPreview').innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Row</th>
+                        <th>Name</th>
+                        <th>Product</th>
+                        <th>Owner</th>
+                        <th>Status</th>
+                        <th>Platform</th>
+                        <th>Severity</th>
+                        <th>Active</th>
+                        <th>Techniques</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${previewRows.length === 0 ? '<tr><td colspan="9" class="empty-state">No rows to import with this mapping</td></tr>' : ''}
+                    ${previewRows.map(result => `
+                        <tr>
+                            <td>${result.row}</td>
+                            <td>${this.escapeHtml(result.detection.name)}</td>
+                            <td>${this.escapeHtml(result.detection.product || '-')}</td>
+                            <td>${this.escapeHtml(result.detection.owner || '-')}</td>
+                            <td>${result.detection.status}</td>
+                            <td>${this.escapeHtml(result.detection.platform || '-')}</td>
+                            <td>${this.escapeHtml(result.detection.severity || '-')}</td>
+                            <td>${result.detection.isActive ? 'yes' : 'no'}</td>
+                            <td>${this.escapeHtml(result.detection.techniques.join(', ') || '-')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${ready.length > previewRows.length ? `<p class="section-description">and ${ready.length - previewRows.length} more</p>` : ''}
+        `;
+
+        document.getElementById('spreadsheetErrors').innerHTML = withIssues.length === 0 ? '' : `
+            <h3>Row Errors</h3>
+            <div class="data-table-container import-issues">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Row</th>
+                            <th>Issue</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${withIssues.flatMap(result => [
+                            ...result.errors.map(issue => ({ row: result.row, issue: `${issue} (row skipped)` })),
+                            ...result.warnings.map(issue => ({ row: result.row, issue }))
+                        ]).map(item => `
+                            <tr>
+                                <td>${item.row}</td>
+                                <td>${this.escapeHtml(item.issue)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    confirmSpreadsheetImport() {
+        const state = this.spreadsheetImport;
+        const results = this.buildSpreadsheetDetections();
+        const now = new Date().toISOString();
+        const report = { created: 0, updated: 0, skipped: 0, issues: [] };
+        const imported = [];
+
+        results.forEach(result => {
+            const location = `${state.sheets[state.sheetIndex].name} row ${result.row}`;
+            const ruleName = result.detection ? result.detection.name : '-';
+            result.errors.forEach(issue => report.issues.push({ file: location, rule: ruleName, issue }));
+            result.warnings.forEach(issue => report.issues.push({ file: location, rule: ruleName, issue }));
+
+            if (!result.detection) {
+                report.skipped++;
+                return;
+            }
+
+            imported.push(this.normalizeDetection({
+                id: this.generateId(),
+                ...result.detection,
+                createdAt: now,
+                updatedAt: now
+            }));
+            report.created++;
+        });
+
+        this.trackDetectionChanges('import', `Imported ${imported.length} rule${imported.length === 1 ? '' : 's'} from ${state.fileName}`, () => {
+            this.detections.push(...imported);
+        });
+
         this.saveUserData();
-        this.closeDetectionModal();
+        this.closeSpreadsheetImport();
         this.renderCurrentView();
+        this.showImportReport('Spreadsheet Import', report);
     }
 
+    closeSpreadsheetImport() {
+        document.getElementById('spreadsheetImportModal').classList.remove('active');
+        this.spreadsheetImport = null;
+    }
 
-    // Import/Export functionality
-    exportData() {
-        const data = {
-            version: '3.0',
-            exportDate: new Date().toISOString(),
-            detections: this.detections
+    // Results of a local Atomic Red Team or Caldera run
+    async importTestResults(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        // Reset file input
+        event.target.value = '';
+
+        let parsed;
+        try {
+            parsed = this.parseTestResults(file.name, await file.text());
+        } catch (error) {
+            alert(`Error reading test results: ${error.message}`);
+            return;
+        }
+
+        const issues = [];
+        const seen = new Set();
+        const runs = parsed.runs.filter(run => {
+            const label = run.testName || run.testId || '-';
+            if (!this.techniquesById[run.techniqueId]) {
+                issues.push({ file: file.name, rule: label, issue: `Unknown technique "${run.techniqueId}" (skipped)` });
+                return false;
+            }
+            const key = JSON.stringify([run.techniqueId, run.testId, run.date, run.source]);
+            if (seen.has(key)) {
+                issues.push({ file: file.name, rule: label, issue: `${run.techniqueId} on ${run.date} appears more than once in the file (skipped)` });
+                return false;
+            }
+            seen.add(key);
+            const recorded = this.testRuns.some(existing => existing.techniqueId === run.techniqueId &&
+                existing.testId === run.testId && existing.date === run.date && existing.source === run.source);
+            if (recorded) {
+                issues.push({ file: file.name, rule: label, issue: `${run.techniqueId} on ${run.date} is already recorded (skipped)` });
+                return false;
+            }
+            return true;
+        });
+
+        if (runs.length === 0) {
+            this.showImportReport('Test Results Import', { created: 0, updated: 0, skipped: parsed.runs.length, issues });
+            return;
+        }
+
+        // Credit the rule when exactly one active rule covers the technique
+        runs.forEach(run => {
+            const rules = this.getActiveDetectionsForTechnique(run.techniqueId);
+            run.detectionId = rules.length === 1 ? rules[0].id : '';
+        });
+
+        this.testResultsImport = { fileName: file.name, format: parsed.format, runs, issues };
+        this.renderTestResultsPreview();
+        document.getElementById('testResultsImportModal').classList.add('active');
+    }
+
+    // Invoke-AtomicTest execution logs (CSV or ATTiRe JSON) and Caldera operation reports or
+    // event logs. Execution logs do not say whether anything fired: runs without a result
+    // are left for the user to fill in before importing.
+    parseTestResults(fileName, text) {
+        const runs = [];
+        const add = (source, run) => runs.push({
+            techniqueId: String(run.techniqueId || '').trim().toUpperCase(),
+            testId: String(run.testId || '').trim(),
+            testName: String(run.testName || '').trim(),
+            date: (run.date && this.parseSpreadsheetDate(String(run.date))) || new Date().toISOString().split('T')[0],
+            result: this.parseTestResult(run.result),
+            notes: run.notes || '',
+            source
+        });
+
+        if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (e) {
+                throw new Error('the file is not valid JSON');
+            }
+
+            if (data && Array.isArray(data.procedures)) {
+                // ATTiRe log written by Invoke-AtomicTest -LoggingModule Attire-ExecutionLogger
+                const execution = data['execution-data'] || {};
+                const host = execution.target && execution.target.host;
+                data.procedures.forEach(procedure => {
+                    const steps = Array.isArray(procedure.steps) ? procedure.steps : [];
+                    const failedSteps = steps.filter(step => step['is-successful'] === false).length;
+                    add('atomic', {
+                        techniqueId: procedure['mitre-technique-id'],
+                        testId: procedure['procedure-id'] && procedure['procedure-id'].id,
+                        testName: procedure['procedure-name'],
+                        date: (steps[0] && steps[0]['time-start']) || execution['time-generated'],
+                        notes: [host ? `Executed on ${host}` : '', failedSteps ? `${failedSteps} step(s) failed to run` : '']
+                            .filter(Boolean).join(', ')
+                    });
+                });
+                return { format: 'Atomic Red Team (ATTiRe)', runs };
+            }
+
+            if (data && data.steps && typeof data.steps === 'object' && !Array.isArray(data.steps)) {
+                // Caldera operation report: links grouped by agent
+                Object.entries(data.steps).forEach(([paw, agent]) => {
+                    (agent && Array.isArray(agent.steps) ? agent.steps : []).forEach(step => add('caldera', {
+                        techniqueId: step.attack && step.attack.technique_id,
+                        testId: step.ability_id,
+                        testName: step.name,
+                        date: step.run || data.start,
+                        notes: `Agent ${paw}${typeof step.status === 'number' && step.status !== 0 ? `, ability status ${step.status}` : ''}`
+                    }));
+                });
+                return { format: 'Caldera operation report', runs };
+            }
+
+            if (Array.isArray(data) && data.some(entry => entry && entry.attack_metadata)) {
+                // Caldera operation event logs
+                data.filter(entry => entry && entry.attack_metadata).forEach(entry => {
+                    const ability = entry.ability_metadata || {};
+                    const agent = entry.agent_metadata || {};
+                    add('caldera', {
+                        techniqueId: entry.attack_metadata.technique_id,
+                        testId: ability.ability_id,
+                        testName: ability.ability_name,
+                        date: entry.finished_timestamp || entry.delegated_timestamp,
+                        notes: [agent.host ? `Agent ${agent.host}` : '', typeof entry.status === 'number' && entry.status !== 0 ? `ability status ${entry.status}` : '']
+                            .filter(Boolean).join(', ')
+                    });
+                });
+                return { format: 'Caldera event logs', runs };
+            }
+
+            throw new Error('expected an Atomic Red Team (ATTiRe) log, a Caldera operation report or Caldera event logs');
+        }
+
+        // Atomic Red Team CSV execution log, or any sheet with a technique column
+        const rows = this.parseCsv(text);
+        const header = (rows[0] || []).map(value => String(value).trim());
+        const column = pattern => header.findIndex(value => pattern.test(value));
+        const columns = {
+            technique: column(/^(technique|technique ?id|attack ?id|mitre ?technique)$/i),
+            guid: column(/^(guid|test ?guid|auto_generated_guid|test ?id|ability ?id)$/i),
+            number: column(/^test ?number$/i),
+            name: column(/^(test ?name|ability ?name|name)$/i),
+            date: column(/^(execution time \(utc\)|execution time|date|timestamp)$/i),
+            host: column(/^(hostname|host)$/i),
+            result: column(/^(result|outcome|detected)$/i),
+            notes: column(/^(notes?|comments?)$/i)
         };
+        if (columns.technique === -1) {
+            throw new Error('no "Technique" column found');
+        }
+
+        const cell = (row, index) => (index === -1 || row[index] === undefined ? '' : String(row[index]).trim());
+        rows.slice(1).filter(row => cell(row, columns.technique)).forEach(row => {
+            const number = cell(row, columns.number);
+            add('atomic', {
+                techniqueId: cell(row, columns.technique),
+                testId: cell(row, columns.guid) || (number ? `${cell(row, columns.technique)}-${number}` : ''),
+                testName: cell(row, columns.name),
+                date: cell(row, columns.date),
+                result: cell(row, columns.result),
+                notes: cell(row, columns.notes) || (cell(row, columns.host) ? `Executed on ${cell(row, columns.host)}` : '')
+            });
+        });
+        return { format: 'CSV', runs };
+    }
+
+    parseTestResult(value) {
+        const text = String(value || '').trim().toLowerCase();
+        if (/^(detected|yes|true|pass(ed)?|alerted)$/.test(text)) return 'detected';
+        if (/^(partial|partially detected)$/.test(text)) return 'partial';
+        if (/^(missed|no|false|fail(ed)?|not detected|undetected)$/.test(text)) return 'missed';
+        return '';
+    }
+
+    renderTestResultsPreview() {
+        const state = this.testResultsImport;
+        const ready = state.runs.filter(run => run.result).length;
+        const resultOptions = (selected) => ['', ...this.testResults].map(result =>
+            `<option value="${result}" ${result === selected ? 'selected' : ''}>${result || 'Skip'}</option>`
+        ).join('');
+
+        document.getElementById('testResultsImportBody').innerHTML = `
+            <p class="section-description">
+                ${this.escapeHtml(state.fileName)} &middot; ${this.escapeHtml(state.format)} &middot; ${state.runs.length} test run(s).
+                Execution logs do not record whether a rule fired: set the result of each run (runs left on "Skip" are not imported).
+            </p>
+            <div class="import-mode">
+                <label>Set every result to
+                    <select id="testResultsSetAll" class="filter-select">
+                        <option value="">-</option>
+                        ${this.testResults.map(result => `<option value="${result}">${result}</option>`).join('')}
+                    </select>
+                </label>
+            </div>
+            <p class="import-summary"><strong id="testResultsReady">${ready}</strong> of ${state.runs.length} runs will be imported</p>
+            <div class="data-table-container import-issues">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Technique</th>
+                            <th>Test</th>
+                            <th>Date</th>
+                            <th>Rule</th>
+                            <th>Result</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${state.runs.map((run, index) => `
+                            <tr>
+                                <td><span class="technique-id" title="${this.escapeHtml(this.techniquesById[run.techniqueId].name)}">${this.escapeHtml(run.techniqueId)}</span></td>
+                                <td title="${this.escapeHtml(run.notes)}">${this.escapeHtml(run.testName || run.testId || '-')}</td>
+                                <td>${this.escapeHtml(run.date)}</td>
+                                <td>
+                                    <select class="filter-select" data-index="${index}" data-field="detectionId">
+                                        <option value="">No specific rule</option>
+                                        ${this.detections.filter(det => det.techniques.includes(run.techniqueId)).map(det => `
+                                            <option value="${this.escapeHtml(det.id)}" ${det.id === run.detectionId ? 'selected' : ''}>${this.escapeHtml(det.name)}</option>
+                                        `).join('')}
+                                    </select>
+                                </td>
+                                <td>
+                                    <select class="filter-select" data-index="${index}" data-field="result">
+                                        ${resultOptions(run.result)}
+                                    </select>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+        document.getElementById('confirmTestResultsImportBtn').disabled = ready === 0;
+    }
+
+    updateTestResultsImport(input) {
+        const state = this.testResultsImport;
+        if (!state) return;
+
+        if (input.id === 'testResultsSetAll') {
+            if (!input.value) return;
+            state.runs.forEach(run => { run.result = input.value; });
+            this.renderTestResultsPreview();
+            return;
+        }
+
+        const run = state.runs[parseInt(input.dataset.index, 10)];
+        if (!run || !input.dataset.field) return;
+        run[input.dataset.field] = input.value;
+
+        const ready = state.runs.filter(item => item.result).length;
+        document.getElementById('testResultsReady').textContent = ready;
+        document.getElementById('confirmTestResultsImportBtn').disabled = ready === 0;
+    }
+
+    confirmTestResultsImport() {
+        const state = this.testResultsImport;
+        if (!state) return;
+
+        const now = new Date().toISOString();
+        const report = { created: 0, updated: 0, skipped: 0, issues: state.issues };
+
+        state.runs.forEach(run => {
+            if (!run.result) {
+                report.skipped++;
+                return;
+            }
+            this.testRuns.push({
+                id: this.generateId().replace(/^det_/, 'run_'),
+                ...run,
+                detectionId: run.detectionId || null,
+                createdAt: now
+            });
+            report.created++;
+        });
+        report.skipped += state.issues.length;
+
+        this.saveUserData();
+        this.closeTestResultsImport();
+        this.renderCurrentView();
+        this.showImportReport('Test Results Import', report);
+    }
+
+    closeTestResultsImport() {
+        document.getElementById('testResultsImportModal').classList.remove('active');
+        this.testResultsImport = null;
+    }
+
+    // Spreadsheet export; the detections layout matches the workbook's "Detection Rules" sheet
+    exportDetectionsTable(format, detections = this.detections, baseName = 'mitre-attack-detections') {
+        const attackColumns = Math.max(10, ...detections.map(det => det.techniques.length));
+        const header = ['Source', 'Use Case', 'Rule Description', 'Is Active'];
+        for (let i = 1; i <= attackColumns; i++) header.push(`Attack${i}`);
+        header.push('Platform', 'Severity', 'Status', 'Owner', 'Tags', 'Query', 'References', 'Last Review');
+
+        const rows = detections.map(det => {
+            const techniques = det.techniques.map(id => this.techniquesById[id] ? `${this.techniquesById[id].name} (${id})` : id);
+            while (techniques.length < attackColumns) techniques.push('');
+            return [
+                det.product || '',
+                det.name,
+                det.description || '',
+                det.isActive ? 'yes' : 'no',
+                ...techniques,
+                det.platform || '',
+                det.severity || '',
+                det.status,
+                det.owner || '',
+                det.tags.join(', '),
+                det.query || '',
+                det.references.join('\n'),
+                det.lastReviewed || ''
+            ];
+        });
+
+        this.downloadTable('Detection Rules', [header, ...rows], format, baseName);
+    }
+
+    exportTechniquesTable(format) {
+        const header = [
+            'ID', 'Name', 'Tactics', 'Detection Rules', 'Detection Rules for SubTech', 'Detection Rules Modifier',
+            'Expected Detection Rules', 'Data Components Available', 'Data Components Required',
+            'Coverage (%)', 'Technique Status', 'No Telemetry', 'Applicable', 'Exclusion Reason'
+        ];
+
+        const rows = this.getFilteredTechniques().map(tech => {
+            const exclusionReason = this.getExclusionReason(tech);
+            return [
+                tech.id,
+                tech.name,
+                tech.tactics.join(', '),
+                this.getDetectionRulesForTechnique(tech.id),
+                this.getSubTechniqueDetectionRules(tech.id),
+                this.getDetectionRulesModifier(tech.id),
+                this.getExpectedDetectionRules(tech),
+                this.getAvailableDataComponents(tech),
+                tech.dataComponents.length,
+                Math.round(this.calculateCoverage(tech) * 100),
+                this.getTechniqueStatus(tech, 'detection'),
+                this.hasDataSourceInconsistency(tech) ? 'yes' : 'no',
+                exclusionReason ? 'no' : 'yes',
+                exclusionReason || ''
+            ];
+        });
+
+        this.downloadTable('Techniques', [header, ...rows], format, 'mitre-attack-techniques');
+    }
+
+    downloadTable(sheetName, rows, format, baseName) {
+        const blob = format === 'xlsx'
+            ? new Blob([this.buildXlsx([{ name: sheetName, rows }])], {
+                type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            })
+            : new Blob(['\uFEFF' + this.toCsv(rows)], { type: 'text/csv;charset=utf-8' });
 
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `mitre-attack-coverage-${new Date().toISOString().split('T')[0]}.json`;
+        a.download = `${baseName}-${new Date().toISOString().split('T')[0]}.${format}`;
         a.click();
         URL.revokeObjectURL(url);
     }
 
-    importData(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+    // Minimal YAML reader covering what Sigma rules use: nested mappings, block and
+    // flow sequences, quoted scalars, block scalars (| and >) and comments
+    parseYaml(text) {
+        const lines = text.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+        const keyPattern = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"\-?][^:]*?|-[^\s:][^:]*?)\s*:(?:\s+(.*))?$/;
+        let index = 0;
+
+        const indentOf = line => line.match(/^ */)[0].length;
+        const isBlank = line => /^\s*(#.*)?$/.test(line);
+        const skipBlank = () => {
+            while (index < lines.length && isBlank(lines[index])) index++;
+        };
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const data = JSON.parse(e.target.result);
+        const parseScalar = (raw) => {
+            const value = raw.trim();
+            if (value.startsWith('"')) {
+                const match = value.match(/^"((?:[^"\\]|\\.)*)"/);
+                if (!match) throw new Error(`Unterminated string on line ${index}`);
+                return match[1].replace(/\\(.)/g, (m, c) => ({ n: '\n', t: '\t', '"': '"', '\\': '\\' }[c] || c));
+            }
+            if (value.startsWith("'")) {
+                const match = value.match(/^'((?:[^']|'')*)'/);
+                if (!match) throw new Error(`Unterminated string on line ${index}`);
+                return match[1].replace(/''/g, "'");
+            }
+
+            const plain = value.replace(/\s+#.*$/, '');
+            if (plain.startsWith('[') && plain.endsWith(']')) {
+                const inner = plain.slice(1, -1).trim();
+                return inner ? inner.split(',').map(item => parseScalar(item)) : [];
+            }
+            if (plain.startsWith('{') && plain.endsWith('}')) {
+                const mapping = {};
+                plain.slice(1, -1).split(',').filter(item => item.trim()).forEach(item => {
+                    const separator = item.indexOf(':');
+                    if (separator === -1) throw new Error(`Invalid flow mapping on line ${index}`);
+                    mapping[parseScalar(item.substring(0, separator))] = parseScalar(item.substring(separator + 1));
+                });
+                return mapping;
+            }
+            if (plain === '' || plain === '~' || plain === 'null') return null;
+            if (plain === 'true') return true;
+            if (plain === 'false') return false;
+            return plain;
+        };
+
+        const parseBlockScalar = (indicator, parentIndent) => {
+            const block = [];
+            while (index < lines.length && (lines[index].trim() === '' || indentOf(lines[index]) > parentIndent)) {
+                block.push(lines[index]);
+                index++;
+            }
+            while (block.length > 0 && block[block.length - 1].trim() === '') block.pop();
+
+            const blockIndent = Math.min(...block.filter(line => line.trim()).map(indentOf));
+            const content = block.map(line => line.substring(blockIndent));
+            if (indicator.startsWith('|')) return content.join('\n');
+            return content.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ');
+        };
+
+        const parseNode = (minIndent) => {
+            skipBlank();
+            if (index >= lines.length) return null;
+
+            const indent = indentOf(lines[index]);
+            if (indent < minIndent) return null;
+
+            return /^-(\s|$)/.test(lines[index].trim())
+                ? parseSequence(indent)
+                : parseMapping(indent);
+        };
 
-                if (data.detections) {
-                    this.detections = data.detections;
+        const parseValue = (rest, indent) => {
+            if (rest === undefined || rest.trim() === '' || rest.trim().startsWith('#')) {
+                // Sequences may sit at the same indent as their key
+                skipBlank();
+                if (index < lines.length && indentOf(lines[index]) === indent && /^-(\s|$)/.test(lines[index].trim())) {
+                    return parseSequence(indent);
                 }
+                return parseNode(indent + 1);
+            }
 
-                this.saveUserData();
-                this.renderCurrentView();
-                alert('Data imported successfully!');
-            } catch (error) {
-                console.error('Error importing data:', error);
-                alert('Error importing data. Please check the file format.');
+            if (/^[|>][+-]?\s*(#.*)?$/.test(rest.trim())) {
+                return parseBlockScalar(rest.trim(), indent);
+            }
+
+            let value = parseScalar(rest);
+            // Plain scalars may continue on more-indented lines
+            if (typeof value === 'string' && !/^["'[{]/.test(rest.trim())) {
+                while (index < lines.length && !isBlank(lines[index]) && indentOf(lines[index]) > indent) {
+                    value += ' ' + lines[index].trim();
+                    index++;
+                }
             }
+            return value;
         };
-        reader.readAsText(file);
 
-        // Reset file input
-        event.target.value = '';
+        const parseMapping = (indent) => {
+            const result = {};
+            while (true) {
+                skipBlank();
+                if (index >= lines.length) break;
+
+                const line = lines[index];
+                const lineIndent = indentOf(line);
+                if (lineIndent < indent) break;
+                if (lineIndent > indent) {
+                    throw new Error(`Unexpected indentation on line ${index + 1}`);
+                }
+
+                const match = line.trim().match(keyPattern);
+                if (!match) {
+                    if (/^-(\s|$)/.test(line.trim())) break;
+                    throw new Error(`Expected "key: value" on line ${index + 1}`);
+                }
+
+                index++;
+                result[parseScalar(match[1])] = parseValue(match[2], indent);
+            }
+            return result;
+        };
+
+        const parseSequence = (indent) => {
+            const result = [];
+            while (true) {
+                skipBlank();
+                if (index >= lines.length) break;
+
+                const line = lines[index];
+                if (indentOf(line) !== indent || !/^-(\s|$)/.test(line.trim())) break;
+
+                const item = line.trim().substring(1).trim();
+                if (item === '' || item.startsWith('#')) {
+                    index++;
+                    result.push(parseNode(indent + 1));
+                } else if (keyPattern.test(item)) {
+                    // "- key: value" starts a mapping indented past the dash
+                    lines[index] = ' '.repeat(indent + 2) + item;
+                    result.push(parseMapping(indent + 2));
+                } else {
+                    index++;
+                    result.push(parseValue(item, indent));
+                }
+            }
+            return result;
+        };
+
+        const result = parseNode(0);
+        skipBlank();
+        if (index < lines.length) {
+            throw new Error(`Unexpected content on line ${index + 1}`);
+        }
+        return result;
+    }
+
+    // Reads the entries of a zip archive (stored or deflated, no zip64)
+    async readZipEntries(buffer) {
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        let endOffset = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset === -1) throw new Error('Not a zip archive');
+
+        const entryCount = view.getUint16(endOffset + 10, true);
+        let offset = view.getUint32(endOffset + 16, true);
+        const entries = [];
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) continue;
+
+            const dataStart = localOffset + 30 +
+                view.getUint16(localOffset + 26, true) +
+                view.getUint16(localOffset + 28, true);
+            const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+
+            let data;
+            if (method === 0) {
+                data = compressed;
+            } else if (method === 8) {
+                const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                data = new Uint8Array(await new Response(stream).arrayBuffer());
+            } else {
+                throw new Error(`Unsupported compression in ${name}`);
+            }
+
+            entries.push({ name, data });
+        }
+
+        return entries;
+    }
+
+    // RFC 4180 CSV reader; the delimiter (comma, semicolon or tab) is taken from the header row
+    parseCsv(text) {
+        text = text.replace(/^\uFEFF/, '');
+        const firstLine = text.split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+        const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+        const rows = [];
+        let row = [];
+        let value = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+        if (value !== '' || row.length > 0) {
+            row.push(value);
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.some(cell => cell.trim() !== ''));
+    }
+
+    // Date cell as YYYY-MM-DD; Excel stores dates as days since 1899-12-30. Other dates are
+    // read as calendar dates, never shifted through UTC, so the day is the same in every time zone
+    parseSpreadsheetDate(value) {
+        const pad = number => String(number).padStart(2, '0');
+        if (/^\d+(\.\d+)?$/.test(value)) {
+            const serial = new Date(Date.UTC(1899, 11, 30) + Math.floor(parseFloat(value)) * 86400000);
+            return serial.toISOString().split('T')[0];
+        }
+
+        const ymd = value.trim().match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?=$|[T\s])/);
+        const date = ymd ? new Date(Number(ymd[1]), Number(ymd[2]) - 1, Number(ymd[3])) : new Date(value);
+        if (Number.isNaN(date.getTime())) return '';
+        if (ymd && (date.getMonth() !== Number(ymd[2]) - 1 || date.getDate() !== Number(ymd[3]))) return '';
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // Text cells that a spreadsheet would run as a formula get a leading apostrophe
+    toCsv(rows) {
+        return rows.map(row => row.map(value => {
+            let text = value === null || value === undefined ? '' : String(value);
+            if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',')).join('\r\n') + '\r\n';
+    }
+
+    // Reads every worksheet of an .xlsx file as rows of cell text
+    async readXlsxSheets(buffer) {
+        const files = {};
+        (await this.readZipEntries(buffer)).forEach(entry => {
+            files[entry.name] = new TextDecoder().decode(entry.data);
+        });
+
+        const parse = (path) => {
+            if (!files[path]) throw new Error(`Missing ${path} - not an Excel workbook`);
+            return new DOMParser().parseFromString(files[path], 'application/xml');
+        };
+        const elements = (node, name) => [...node.getElementsByTagNameNS('*', name)];
+        const text = (node) => elements(node, 't').map(t => t.textContent).join('');
+
+        const sharedStrings = files['xl/sharedStrings.xml']
+            ? elements(parse('xl/sharedStrings.xml'), 'si').map(si => text(si))
+            : [];
+
+        const relationships = {};
+        elements(parse('xl/_rels/workbook.xml.rels'), 'Relationship').forEach(rel => {
+            const target = rel.getAttribute('Target');
+            relationships[rel.getAttribute('Id')] = target.startsWith('/') ? target.substring(1) : `xl/${target}`;
+        });
+
+        const columnIndex = (ref) => ref.replace(/\d+$/, '').split('')
+            .reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+        return elements(parse('xl/workbook.xml'), 'sheet').map(sheet => {
+            const relationshipId = sheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id') ||
+                sheet.getAttribute('r:id');
+            const rows = [];
+
+            elements(parse(relationships[relationshipId]), 'row').forEach(rowNode => {
+                const row = [];
+                elements(rowNode, 'c').forEach((cellNode, position) => {
+                    const ref = cellNode.getAttribute('r');
+                    const type = cellNode.getAttribute('t');
+                    const valueNode = elements(cellNode, 'v')[0];
+                    const raw = valueNode ? valueNode.textContent : '';
+
+                    let value = raw;
+                    if (type === 's') value = sharedStrings[parseInt(raw, 10)] || '';
+                    else if (type === 'inlineStr') value = text(cellNode);
+                    else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+
+                    row[ref ? columnIndex(ref) : position] = value;
+                });
+                const rowNumber = parseInt(rowNode.getAttribute('r'), 10);
+                rows[Number.isNaN(rowNumber) ? rows.length : rowNumber - 1] = Array.from(row, value => value || '');
+            });
+
+            // Drop leading and trailing blank rows, pad the rest to the same width
+            const filled = Array.from(rows, row => row || []);
+            while (filled.length > 0 && filled[filled.length - 1].every(value => !String(value).trim())) filled.pop();
+            while (filled.length > 0 && filled[0].every(value => !String(value).trim())) filled.shift();
+            const width = Math.max(0, ...filled.map(row => row.length));
+            return {
+                name: sheet.getAttribute('name'),
+                rows: filled.map(row => Array.from({ length: width }, (v, i) => row[i] || ''))
+            };
+        });
+    }
+
+    // Minimal .xlsx writer: one worksheet per entry, strings inline, numbers as numbers
+    buildXlsx(sheets) {
+        const escapeXml = (value) => this.escapeHtml(value).replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+        const columnName = (index) => {
+            let name = '';
+            for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+                name = String.fromCharCode(65 + (n - 1) % 26) + name;
+            }
+            return name;
+        };
+
+        const files = [
+            {
+                name: '[Content_Types].xml',
+                text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    sheets.map((sheet, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+                    sheets.map((sheet, i) => `<sheet name="${escapeXml(sheet.name.replace(/[\\/?*[\]:]/g, ' ').substring(0, 31))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+                    '</sheets></workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    sheets.map((sheet, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+                    '</Relationships>'
+            },
+            ...sheets.map((sheet, i) => ({
+                name: `xl/worksheets/sheet${i + 1}.xml`,
+                text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' +
+                    sheet.rows.map((row, r) => `<row r="${r + 1}">` + row.map((value, c) => {
+                        const ref = `${columnName(c)}${r + 1}`;
+                        if (typeof value === 'number') return `<c r="${ref}"><v>${value}</v></c>`;
+                        if (value === null || value === undefined || value === '') return '';
+                        return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+                    }).join('') + '</row>').join('') +
+                    '</sheetData></worksheet>'
+            }))
+        ];
+
+        return this.buildZip(files.map(file => ({ name: file.name, data: new TextEncoder().encode(file.text) })));
+    }
+
+    // Writes an uncompressed zip archive
+    buildZip(entries) {
+        const crcTable = Array.from({ length: 256 }, (v, n) => {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            return c >>> 0;
+        });
+        const crc32 = (data) => {
+            let crc = 0xFFFFFFFF;
+            for (let i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+            return (crc ^ 0xFFFFFFFF) >>> 0;
+        };
+
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        entries.forEach(entry => {
+            const name = new TextEncoder().encode(entry.name);
+            const crc = crc32(entry.data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, entry.data.length, true);
+            local.setUint32(22, entry.data.length, true);
+            local.setUint16(26, name.length, true);
+            parts.push(new Uint8Array(local.buffer), name, entry.data);
+
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014b50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 20, true);
+            header.setUint16(8, 0x0800, true);
+            header.setUint32(16, crc, true);
+            header.setUint32(20, entry.data.length, true);
+            header.setUint32(24, entry.data.length, true);
+            header.setUint16(28, name.length, true);
+            header.setUint32(42, offset, true);
+            central.push(new Uint8Array(header.buffer), name);
+
+            offset += 30 + name.length + entry.data.length;
+        });
+
+        const centralSize = central.reduce((size, part) => size + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const all = [...parts, ...central, new Uint8Array(end.buffer)];
+        const output = new Uint8Array(all.reduce((size, part) => size + part.length, 0));
+        let position = 0;
+        all.forEach(part => {
+            output.set(part, position);
+            position += part.length;
+        });
+        return output;
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    isHttpUrl(value) {
+        try {
+            const url = new URL(value);
+            return url.protocol === 'http:' || url.protocol === 'https:';
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // For href attributes: only http(s) links are kept, anything else (javascript:, data:) becomes inert
+    safeUrl(value) {
+        return this.isHttpUrl(value) ? this.escapeHtml(value) : '#';
     }
 
     generateId() {